@@ -0,0 +1,53 @@
+import { insertAuditRecord } from './db.mjs';
+
+// The CLI options as given, without yargs internals and the Slack webhook secret
+export function getAuditOptions(argv) {
+  const options = {};
+  Object.entries(argv)
+    .filter(([key]) => !['_', '$0', 'slackNotifyUrl'].includes(key) && !key.includes('-'))
+    .forEach(([key, value]) => {
+      options[key] = value;
+    });
+  return options;
+}
+
+// Builds the audit table row of one sheet import. sheetData gives the sheet,
+// its target table and row counts; summaryData the rows that reached the
+// target, which a failed or skipped import does not have. run holds the CLI
+// arguments, the import id and the tool version.
+export function createAuditRecord({ run, startedAt, finishedAt = new Date(), file, sheetData = {}, summaryData = {}, status, error }) {
+  const { argv, importId, toolVersion } = run;
+  const { summary = {} } = sheetData;
+  return {
+    started_at: startedAt,
+    finished_at: finishedAt,
+    duration_seconds: (finishedAt - startedAt) / 1000,
+    status,
+    error_message: error?.message,
+    file_name: file?.fileName,
+    file_sha256: file?.fileSha256,
+    sheet_name: sheetData.sheetName,
+    target_table: sheetData.tableName || (sheetData.sheetName ? argv.table : null),
+    mode: argv.truncate ? 'truncate' : argv.mode,
+    total_rows: summary.totalRows,
+    valid_rows: summaryData.validRows,
+    empty_rows: summary.emptyRows,
+    skipped_rows: summary.skippedRows,
+    inserted_rows: summaryData.inserted,
+    updated_rows: summaryData.updated,
+    deleted_rows: summaryData.deleted,
+    options: getAuditOptions(argv),
+    tool_version: toolVersion,
+    import_id: importId
+  };
+}
+
+// A broken audit table must not hide the outcome of the import itself, so
+// failures to write the record only log a warning
+export async function writeAuditRecord(auditTable, record) {
+  try {
+    await insertAuditRecord(auditTable, record);
+  } catch (auditError) {
+    console.warn(`⚠️ [${new Date().toISOString()}] Could not write to audit table ${auditTable}: ${auditError.message}`);
+  }
+}
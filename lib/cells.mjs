@@ -0,0 +1,153 @@
+import XLSX from 'xlsx';
+import { getCell, getTableConfigOverrides } from './getTableConfig.mjs';
+import { excelSerialToDate, isBlank } from './transform.mjs';
+
+const CELL_VALUES = ['value', 'text', 'formula'];
+// Column options that add a column with more details of each cell
+const COMPANION_OPTIONS = {
+  formulaColumn: 'formula',
+  commentColumn: 'comment',
+  numberFormatColumn: 'numberFormat',
+  hyperlinkColumn: 'hyperlink'
+};
+
+function getColumnConfigs(columnOverrides) {
+  return Object.entries(getTableConfigOverrides(columnOverrides))
+    .filter(([key, config]) => !key.startsWith('$') && config !== null && typeof config === 'object');
+}
+
+// Formatted text costs memory on every cell, so workbooks are only read with
+// it when a column of the sheet asks for it
+export function getCellReadOptions(columnOverrides) {
+  const configs = getColumnConfigs(columnOverrides).map(([, config]) => config);
+  return {
+    cellText: configs.some(config => config.cellValue === 'text')
+  };
+}
+
+// Workbooks are read without cellDates, whose Date objects depend on the
+// process timezone, so date cells arrive as serial numbers with a date format.
+// They are turned into Dates holding the sheet's wall clock in UTC fields.
+export function getRawCellValue(cell) {
+  if (cell?.t === 'n' && cell.z && XLSX.SSF.is_date(cell.z)) {
+    return excelSerialToDate(cell.v) ?? cell.v;
+  }
+  return cell?.v;
+}
+
+// Companion columns hold the formula, comment, number format or link URL of
+// the cells of another column. They are text columns, placed after the
+// columns of the sheet.
+export function getCompanionConfigs(tableConfig) {
+  return tableConfig.flatMap((config, colIndex) => {
+    if (config.cellValue !== undefined && !CELL_VALUES.includes(config.cellValue)) {
+      throw new Error(`Unknown cellValue '${config.cellValue}' for column '${config.header}'. Use ${CELL_VALUES.join(', ')}`);
+    }
+    return Object.entries(COMPANION_OPTIONS)
+      .filter(([option]) => config[option])
+      .map(([option, kind]) => ({
+        header: config[option],
+        sqlColumn: config[option],
+        fieldType: 'string',
+        primary: false,
+        notNull: false,
+        skip: false,
+        needIndex: false,
+        isHyperlink: false,
+        companion: { kind, colIndex }
+      }));
+  });
+}
+
+// Maps every cell of a merged range in the fillMerged columns to the range's
+// top-left cell, which is the only one holding the value
+function getMergeOrigins(worksheet, tableConfig) {
+  const origins = new Map();
+  (worksheet['!merges'] || []).forEach(range => {
+    for (let col = range.s.c; col <= range.e.c; col++) {
+      if (!tableConfig[col]?.fillMerged) {
+        continue;
+      }
+      for (let row = range.s.r; row <= range.e.r; row++) {
+        if (row !== range.s.r || col !== range.s.c) {
+          origins.set(XLSX.utils.encode_cell({ r: row, c: col }), range.s);
+        }
+      }
+    }
+  });
+  return origins;
+}
+
+// The cell at row and col, or for fillMerged columns the top-left cell of the
+// merged range it lies in
+export function createCellReader(worksheet, tableConfig) {
+  const origins = getMergeOrigins(worksheet, tableConfig);
+  return (row, col) => {
+    const origin = origins.size > 0 ? origins.get(XLSX.utils.encode_cell({ r: row, c: col })) : undefined;
+    return origin ? getCell(worksheet, origin.r, origin.c) : getCell(worksheet, row, col);
+  };
+}
+
+// The value a cell contributes to its column: by default the cached value, or
+// the link URL of a hyperlink cell. cellValue 'text' takes the text as shown in
+// Excel and 'formula' the formula (cells without one give their value). With a
+// hyperlinkColumn the URL goes there and the column keeps the display text.
+export function getCellValue(cell, config) {
+  if (!cell) {
+    return null;
+  }
+  if (config.cellValue === 'text') {
+    return cell.w ?? getRawCellValue(cell) ?? null;
+  }
+  if (config.cellValue === 'formula' && cell.f) {
+    return `=${cell.f}`;
+  }
+  // If isHyperlink is explicitly set to false, return text value
+  if (config.isHyperlink === false || config.hyperlinkColumn) {
+    return getRawCellValue(cell) ?? null;
+  }
+
+  // Otherwise, prefer hyperlink if available, fall back to text
+  if (cell.l && cell.l.Target) {
+    return cell.l.Target;
+  }
+  return getRawCellValue(cell) ?? null;
+}
+
+export function getCompanionValue(cell, kind) {
+  if (!cell) {
+    return null;
+  }
+  switch (kind) {
+    case 'formula':
+      return cell.f ? `=${cell.f}` : null;
+    case 'comment':
+      return cell.c?.length ? cell.c.map(comment => comment.t).join('\n') : null;
+    case 'numberFormat':
+      return cell.z ?? null;
+    case 'hyperlink':
+      return cell.l?.Target ?? null;
+    default:
+      return null;
+  }
+}
+
+// Fills blank cells of the fillDown columns with the last value above them,
+// for sheets that only show a category on its first row. Call it with the
+// source values of each row that has data, in order; it fills them in place.
+export function createFillDown(tableConfig) {
+  const columns = tableConfig
+    .map((config, colIndex) => (config.fillDown ? colIndex : -1))
+    .filter(colIndex => colIndex >= 0);
+  const lastValues = new Map();
+  return (values) => {
+    columns.forEach(colIndex => {
+      if (!isBlank(values[colIndex])) {
+        lastValues.set(colIndex, values[colIndex]);
+      } else if (lastValues.has(colIndex)) {
+        values[colIndex] = lastValues.get(colIndex);
+      }
+    });
+    return values;
+  };
+}
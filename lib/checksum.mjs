@@ -0,0 +1,19 @@
+import fs from 'fs';
+import crypto from 'crypto';
+import { pipeline } from 'stream/promises';
+
+// Streams the file through SHA-256 so large files are not read into memory
+export async function sha256File(filePath) {
+  const hash = crypto.createHash('sha256');
+  await pipeline(fs.createReadStream(filePath), hash);
+  return hash.digest('hex');
+}
+
+export function sha256Text(text) {
+  return crypto.createHash('sha256').update(text).digest('hex');
+}
+
+// Hashes a sheet's columns and transformed rows while they are loaded
+export function createRowsHash(columns) {
+  return crypto.createHash('sha256').update(JSON.stringify(columns));
+}
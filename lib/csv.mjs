@@ -0,0 +1,254 @@
+import fs from 'fs';
+import path from 'path';
+import { parse } from 'csv-parse';
+import { getTableConfigForHeaders } from './getTableConfig.mjs';
+import { sanitizeColumnName, transformValue, isBlank, formatElapsed } from './transform.mjs';
+import { createRowValidator } from './validate.mjs';
+import { resolveLayout, joinHeaderRows, isFooterRow } from './layout.mjs';
+import { collectRows } from './rows.mjs';
+import { getExtraColumnConfigs, createExtraColumnsResolver } from './extraColumns.mjs';
+import { createReshaper } from './reshape.mjs';
+import { createFillDown } from './cells.mjs';
+
+// Helper function to format elapsed time
+function normalizeEncoding(encoding = 'utf8') {
+  switch (encoding.toLowerCase().replace(/[^a-z0-9]/g, '')) {
+    case 'utf8':
+      return 'utf8';
+    case 'latin1':
+    case 'iso88591':
+    case 'binary':
+      return 'latin1';
+    case 'utf16':
+    case 'utf16le':
+    case 'ucs2':
+      return 'utf16le';
+    default:
+      throw new Error(`Unsupported CSV encoding: ${encoding}. Supported encodings are utf8, latin1 and utf16le`);
+  }
+}
+
+function getParserOptions(csvOptions) {
+  const { delimiter = ',', quote = '"', escape = '"', encoding } = csvOptions;
+  return {
+    delimiter,
+    quote,
+    escape,
+    encoding: normalizeEncoding(encoding),
+    // Strips the UTF-8/UTF-16 byte order mark exported by Excel
+    bom: true,
+    info: true,
+    relax_column_count: true,
+    skip_empty_lines: false
+  };
+}
+
+// Opens a CSV file for streaming. The header rows are read right away so the
+// returned sheet data carries the columns and table config; rows() then
+// streams the transformed rows and fills in rejects and summary as it goes.
+export async function readCSV(filePath, tableConfigFile, timezone, csvOptions = {}) {
+  try {
+    console.log(`\n📊 [${new Date().toISOString()}] Reading CSV file...`);
+    const startTime = Date.now();
+    const { header = true } = csvOptions;
+    // --no-header means there are no header rows at all
+    const layout = resolveLayout(header ? csvOptions.layout : { ...csvOptions.layout, headerRows: 0 });
+    const parser = fs.createReadStream(filePath).pipe(parse(getParserOptions(csvOptions)));
+    const records = parser[Symbol.asyncIterator]();
+
+    // Row numbers in the layout options count CSV records, starting at 1
+    const headerRowValues = [];
+    let recordNumber = 0;
+    let firstRecord = null;
+    while (!firstRecord) {
+      const { value, done } = await records.next();
+      if (done) {
+        break;
+      }
+      recordNumber++;
+      if (recordNumber < layout.headerRow) {
+        continue;
+      }
+      if (recordNumber < layout.headerRow + layout.headerRows) {
+        headerRowValues.push(value.record);
+        continue;
+      }
+      firstRecord = value;
+    }
+
+    // Without header rows the first data record only tells us the column count
+    const columnCount = headerRowValues.length > 0
+      ? Math.max(...headerRowValues.map(values => values.length))
+      : firstRecord?.record.length || 0;
+    const tableConfig = getTableConfigForHeaders(joinHeaderRows(headerRowValues, columnCount), tableConfigFile);
+    const extraConfigs = getExtraColumnConfigs(tableConfigFile);
+    const lineage = { ...csvOptions.lineage, sourceFile: path.basename(filePath), sheetName: path.basename(filePath) };
+    const resolveExtraColumns = createExtraColumnsResolver(extraConfigs, tableConfig.map(c => c.header), lineage, timezone);
+    // With "$reshape" each wide row is read and validated as usual, then melted
+    const reshaper = createReshaper(tableConfigFile, tableConfig, timezone);
+    const outputConfig = reshaper ? reshaper.tableConfig : tableConfig;
+    const fillDown = createFillDown(tableConfig);
+    const validateRow = createRowValidator([...tableConfig.filter(c => !c.skip), ...extraConfigs]);
+    const columns = [...outputConfig.filter(c => !c.skip), ...extraConfigs]
+      .map(c => c.sqlColumn || sanitizeColumnName(c.header));
+    console.log(`📋 [${new Date().toISOString()}] Columns found: ${tableConfig.length}`);
+
+    const rejects = [];
+    const summary = {
+      totalRows: 0,
+      processedRows: 0,
+      skippedRows: 0,
+      emptyRows: 0,
+      elapsed: null
+    };
+    // Progress is measured in bytes, the number of rows is unknown up front
+    const progress = { total: fs.statSync(filePath).size, value: 0 };
+
+    async function* dataRecords() {
+      if (!firstRecord) {
+        return;
+      }
+      yield firstRecord;
+      for await (const value of records) {
+        recordNumber++;
+        yield value;
+      }
+    }
+
+    async function* rows() {
+      let footerRows = 0;
+      let sampleRow = null;
+
+      try {
+        for await (const { record, info } of dataRecords()) {
+          progress.value = info.bytes;
+          if (recordNumber < layout.dataStartRow) {
+            continue;
+          }
+          if (layout.dataEndRow && recordNumber > layout.dataEndRow) {
+            break;
+          }
+          if (isFooterRow(record, layout.footerPattern)) {
+            footerRows++;
+            continue;
+          }
+
+          const rowData = [];
+          const conversionErrors = [];
+          let hasData = false;
+          // Blank rows are not filled down, so they are still counted as empty
+          const sourceValues = tableConfig.map((_, colIndex) => record[colIndex]);
+          if (tableConfig.some((config, colIndex) => !config.skip && !isBlank(sourceValues[colIndex]))) {
+            fillDown(sourceValues);
+          }
+
+          tableConfig.forEach((config, colIndex) => {
+            if (config.skip) {
+              return; // Skip this column
+            }
+
+            const rawValue = sourceValues[colIndex];
+            let value = null;
+            try {
+              value = transformValue(rawValue, config, timezone);
+            } catch (error) {
+              conversionErrors.push({ column: config.header, value: rawValue, reason: error.message });
+            }
+            if (value !== null || conversionErrors.length > 0) {
+              hasData = true;
+            }
+            rowData.push(value);
+          });
+
+          if (!hasData) {
+            if (layout.stopAtBlankRow) {
+              break;
+            }
+            summary.totalRows++;
+            summary.emptyRows++;
+            continue;
+          }
+
+          // Extra columns use the file line the record ended on as the row number
+          const extra = resolveExtraColumns(sourceValues, info.lines);
+          rowData.push(...extra.values);
+          conversionErrors.push(...extra.errors);
+
+          summary.totalRows++;
+          const errors = validateRow(rowData, conversionErrors);
+          if (errors.length > 0) {
+            // info.lines is the file line the record ended on
+            rejects.push(...errors.map(e => ({ row: info.lines, ...e })));
+            summary.skippedRows++;
+          } else {
+            summary.processedRows++;
+            const outputRows = reshaper ? reshaper.reshapeRow(rowData) : [rowData];
+            sampleRow = sampleRow || outputRows[0];
+            yield* outputRows;
+          }
+        }
+      } catch (error) {
+        console.error(`⚠️ [${new Date().toISOString()}] Error processing CSV:`, {
+          message: error.message,
+          stack: error.stack,
+          file: filePath
+        });
+        throw new Error(`Failed to process CSV: ${error.message}`);
+      } finally {
+        parser.destroy();
+      }
+
+      summary.elapsed = formatElapsed(startTime);
+      const duration = ((Date.now() - startTime) / 1000).toFixed(2);
+      console.log(`
+📊 CSV Processing Summary:
+   Total rows in file: ${summary.totalRows}
+   Empty rows skipped: ${summary.emptyRows}
+   Footer rows skipped: ${footerRows}
+   Invalid rows skipped: ${summary.skippedRows}
+   Valid rows transformed: ${summary.processedRows}
+   Processing time: ${duration}s
+`);
+
+      if (!sampleRow) {
+        console.warn('⚠️ No data rows found in the CSV file. Creating empty table.');
+      } else {
+        console.log('\n📝 Sample transformed row:');
+        console.log(columns.reduce((obj, col, i) => {
+          obj[col] = sampleRow[i];
+          return obj;
+        }, {}));
+      }
+    }
+
+    return {
+      columns,
+      tableConfig: [...outputConfig, ...extraConfigs],
+      rejects,
+      summary,
+      progress,
+      rows,
+      sheetName: path.basename(filePath),
+      sheetId: 1
+    };
+  } catch (error) {
+    console.error(`⚠️ [${new Date().toISOString()}] Error processing CSV:`, {
+      message: error.message,
+      stack: error.stack,
+      file: filePath
+    });
+    throw new Error(`Failed to process CSV: ${error.message}`);
+  }
+}
+
+export async function parseCSV(filePath, tableConfigFile, timezone, csvOptions = {}) {
+  return collectRows(await readCSV(filePath, tableConfigFile, timezone, csvOptions));
+}
+
+export async function parseAndTransformCSV(filePath, tableConfigFile, timezone, csvOptions, callBack) {
+  // A CSV file behaves like a workbook with a single sheet
+  const sheetData = await readCSV(filePath, tableConfigFile, timezone, csvOptions);
+  await callBack(sheetData);
+  const { rows, progress, ...result } = sheetData;
+  return [result];
+}
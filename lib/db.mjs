@@ -1,18 +1,20 @@
 import pg from 'pg';
+import crypto from 'crypto';
 import format from 'pg-format';
+import moment from 'moment';
+import copyStreams from 'pg-copy-streams';
+import { Readable } from 'stream';
+import { pipeline } from 'stream/promises';
+import { sanitizeColumnName, formatElapsed, escapeRegExp } from './transform.mjs';
+import { getSqlType } from './fieldTypes.mjs';
 const { Pool } = pg;
+const { from: copyFrom } = copyStreams;
 
 let pool = null;
 
 const startTime = Date.now();
 
 // Helper function to format elapsed time
-function formatElapsed(startTime) {
-  const elapsed = Date.now() - startTime;
-  if (elapsed < 1000) return `${elapsed}ms`;
-  return `${(elapsed/1000).toFixed(2)}s`;
-}
-
 // Helper function to log queries
 function logQuery(query, params) {
   // Skip logging INSERT queries
@@ -48,21 +50,12 @@ async function tableExists(client, tableName) {
   return result.rows[0].exists;
 }
 
-function getColumnDefinition(config) {
+function getColumnDefinition(config, primaryKey) {
   let definition = `"${config.sqlColumn}" `;
   
-  switch(config.fieldType?.toLowerCase()) {
-    case 'timestamp':
-      definition += 'TIMESTAMP';
-      break;
-    case 'number':
-      definition += 'NUMERIC';
-      break;
-    default:
-      definition += 'TEXT';
-  }
-
-  if (config.primary) {
+  definition += getSqlType(config);
+
+  if (config.primary && primaryKey) {
     definition += ' PRIMARY KEY';
   }
   if (config.notNull) {
@@ -86,52 +79,107 @@ function sanitizeIndexName(name) {
     .substring(0, 63);
 }
 
-export async function createTempTable(tableName, columns, tableConfig, timestamp) {
-  if (!pool) {
-    throw new Error('Database not initialized');
+// Table names are used unquoted, so PostgreSQL folds them to lower case and
+// Sales.Orders and sales.orders are the same table
+function normalizeTableName(tableName) {
+  return tableName.toLowerCase();
+}
+
+// Shortens a table name to length characters for the names derived from it.
+// A shortened name ends in a hash of the full name, so tables that only
+// differ after the cut do not share staging tables or backups.
+function shortenTableName(table, length) {
+  if (table.length <= length) {
+    return table;
   }
+  const hash = crypto.createHash('sha256').update(normalizeTableName(table)).digest('hex').slice(0, 8);
+  return `${table.slice(0, length - hash.length - 1)}_${hash}`;
+}
 
-  const client = await pool.connect();
+// Staging tables are named <table>_tmp_<id>, with an id unique to the run so
+// concurrent imports into the same target never share one. Files loaded
+// together get one each, numbered from <table>_tmp_<id>_2. Long table names
+// are shortened to keep the name within PostgreSQL's 63 character limit.
+const STAGING_SUFFIX_LENGTH = 16;
+
+export function getTempTableName(tableName, { id, part = 1 } = {}) {
   const [schema, table] = tableName.split('.');
-  const tmpTableName = `${schema}.${table}_tmp`;
-  
+  const suffix = `_tmp${id ? `_${id}` : ''}${part > 1 ? `_${part}` : ''}`;
+  return `${schema}.${shortenTableName(table, 63 - STAGING_SUFFIX_LENGTH)}${suffix}`;
+}
+
+// Previous versions kept by --keep-versions are named <table>__bak_<YYYYMMDDHHmmss>,
+// the time they were replaced, which is also the version rollback takes
+const BACKUP_SUFFIX_LENGTH = 20;
+const VERSION_FORMAT = 'YYYYMMDDHHmmss';
+
+export function getBackupTableName(tableName, version) {
+  const [schema, table] = tableName.split('.');
+  return `${schema}.${shortenTableName(table, 63 - BACKUP_SUFFIX_LENGTH)}__bak_${version}`;
+}
+
+// Reads the import details swapTables writes to the table comment, null for
+// tables without them
+export function parseImportMetadata(comment) {
   try {
-    await client.query('BEGIN');
-    logQuery('BEGIN');
+    return JSON.parse(comment).xlsx_to_psql || null;
+  } catch {
+    return null;
+  }
+}
 
-    // Drop temp table if exists
-    const dropQuery = `DROP TABLE IF EXISTS ${tmpTableName}`;
-    logQuery(dropQuery);
-    await client.query(dropQuery);
+function getColumnConfig(tableConfig, column) {
+  return tableConfig.find(c => (c.sqlColumn || sanitizeColumnName(c.header)) === column);
+}
+
+// Builds the CREATE TABLE and CREATE INDEX statements for the staging table.
+// With staging.primaryKey false the primary columns get no constraint, so rows
+// with an empty or repeated key can be loaded and rejected by removeKeyRejects.
+export function getCreateTableStatements(tableName, columns, tableConfig, timestamp, staging = {}) {
+  const [, table] = tableName.split('.');
+  const tmpTableName = getTempTableName(tableName, staging);
+  const { part = 1, primaryKey = true } = staging;
 
-    // Create column definitions
-    const columnDefinitions = columns.map(col => {
-      const config = tableConfig.find(c => 
-        (c.sqlColumn || sanitizeColumnName(c.header)) === col
-      );
-      return getColumnDefinition(config);
-    }).join(',\n    ');
+  // Create column definitions
+  const columnDefinitions = columns
+    .map(col => getColumnDefinition(getColumnConfig(tableConfig, col), primaryKey))
+    .join(',\n    ');
 
-    // Create temp table
-    const createQuery = `
+  const createQuery = `
       CREATE TABLE ${tmpTableName} (
         ${columnDefinitions}
       )
     `;
-    logQuery(createQuery);
-    await client.query(createQuery);
-
-    // Create indexes with timestamp suffix
-    for (const config of tableConfig) {
-      if (config.needIndex) {
-        const baseIndexName = `${config.sqlColumn}_${table}`;
-        const indexName = sanitizeIndexName(`idx_${timestamp}_${baseIndexName}`);
-        const createIndexQuery = `
+
+  // Create indexes with timestamp suffix
+  const indexQueries = tableConfig
+    .filter(config => config.needIndex)
+    .map(config => {
+      const baseIndexName = `${config.sqlColumn}_${table}${part > 1 ? `_${part}` : ''}`;
+      const indexName = sanitizeIndexName(`idx_${timestamp}_${baseIndexName}`);
+      return `
           CREATE INDEX ${indexName} ON ${tmpTableName} ("${config.sqlColumn}")
         `;
-        logQuery(createIndexQuery);
-        await client.query(createIndexQuery);
-      }
+    });
+
+  return [createQuery, ...indexQueries];
+}
+
+export async function createTempTable(tableName, columns, tableConfig, timestamp, staging = {}) {
+  if (!pool) {
+    throw new Error('Database not initialized');
+  }
+
+  const client = await pool.connect();
+  const tmpTableName = getTempTableName(tableName, staging);
+  
+  try {
+    await client.query('BEGIN');
+    logQuery('BEGIN');
+
+    for (const query of getCreateTableStatements(tableName, columns, tableConfig, timestamp, staging)) {
+      logQuery(query);
+      await client.query(query);
     }
 
     await client.query('COMMIT');
@@ -153,20 +201,33 @@ export async function createTempTable(tableName, columns, tableConfig, timestamp
   }
 }
 
+// The text both load methods send for a value, so a row is stored the same
+// whether it goes through INSERT or COPY: null for empty cells, ISO timestamps
+// for dates, JSON for objects and arrays, and everything else as written
+export function serializeValue(value) {
+  if (value === null || value === undefined) return null;
+  if (value instanceof Date) return value.toISOString();
+  if (typeof value === 'object') return JSON.stringify(value);
+  return String(value);
+}
+
+export function getInsertQuery(tableName, columns, batch) {
+  return format(
+    'INSERT INTO %I.%I (%s) VALUES %L',
+    tableName.split('.')[0].toLowerCase(),
+    tableName.split('.')[1].toLowerCase(),
+    columns.map(c => `"${c}"`).join(', '),
+    batch.map(row => row.map(serializeValue))
+  );
+}
+
 export async function insertBatch(tableName, columns, batch) {
   if (!pool) {
     throw new Error('Database not initialized');
   }
 
   try {
-    // Format the insert query using pg-format
-    const query = format(
-      'INSERT INTO %I.%I (%s) VALUES %L',
-      tableName.split('.')[0].toLowerCase(),
-      tableName.split('.')[1].toLowerCase(),
-      columns.map(c => `"${c}"`).join(', '),
-      batch
-    );
+    const query = getInsertQuery(tableName, columns, batch);
 
     // For debugging
     // image.pngconsole.log(`📊 Inserting batch of ${batch.length} rows`);
@@ -184,23 +245,654 @@ export async function insertBatch(tableName, columns, batch) {
   }
 }
 
-export async function swapTables(tmpTableName, originalTable, shouldTruncate) {
+// Formats a value as a CSV field for COPY. Unquoted empty fields are NULL,
+// so every non-null value is quoted to keep empty strings distinct; quoting
+// also keeps a "\." line inside a value from ending the data.
+function formatCopyValue(value) {
+  const text = serializeValue(value);
+  if (text === null) return '';
+  return `"${text.replace(/"/g, '""')}"`;
+}
+
+export function formatCopyLine(row) {
+  return row.map(formatCopyValue).join(',') + '\n';
+}
+
+function* copyLines(batch) {
+  for (const row of batch) {
+    yield formatCopyLine(row);
+  }
+}
+
+export async function copyBatch(tableName, columns, batch) {
+  if (!pool) {
+    throw new Error('Database not initialized');
+  }
+
+  const client = await pool.connect();
+  try {
+    const query = format(
+      'COPY %I.%I (%s) FROM STDIN WITH (FORMAT csv)',
+      tableName.split('.')[0].toLowerCase(),
+      tableName.split('.')[1].toLowerCase(),
+      columns.map(c => `"${c}"`).join(', ')
+    );
+
+    await pipeline(Readable.from(copyLines(batch)), client.query(copyFrom(query)));
+    return batch.length;
+  } catch (error) {
+    // COPY reports the failing line of the batch in error.where, e.g. "COPY t, line 3, column x: ..."
+    const line = Number(/line (\d+)/.exec(error.where || '')?.[1]);
+    console.error('\nError details:', {
+      batchSize: batch.length,
+      columnsCount: columns.length,
+      failedRow: line ? batch[line - 1] : undefined,
+      where: error.where,
+      error: error.message
+    });
+    throw error;
+  } finally {
+    client.release();
+  }
+}
+
+function quoteColumns(columns, alias) {
+  return columns.map(c => alias ? `${alias}."${c}"` : `"${c}"`).join(', ');
+}
+
+async function hasUniqueIndexOn(client, tableName, keyColumns) {
+  const query = `
+    SELECT EXISTS (
+      SELECT FROM pg_index i
+      WHERE i.indrelid = $1::regclass
+      AND i.indisunique
+      AND (
+        SELECT array_agg(a.attname::text ORDER BY a.attname::text)
+        FROM pg_attribute a
+        WHERE a.attrelid = i.indrelid AND a.attnum = ANY(i.indkey)
+      ) = $2::text[]
+    )
+  `;
+  const sortedKeys = [...keyColumns].sort();
+  logQuery(query, [tableName, sortedKeys]);
+  const result = await client.query(query, [tableName, sortedKeys]);
+  return result.rows[0].exists;
+}
+
+// ON CONFLICT needs a unique index that matches the key columns exactly. A
+// table this import has just created gets the key as its primary key; on an
+// existing table the index is only created with createKeyIndex, since
+// building one on a large live table is the owner's call.
+async function ensureUniqueKey(client, tableName, keyColumns, { created, createKeyIndex }) {
+  if (created) {
+    const primaryKeyQuery = `ALTER TABLE ${tableName} ADD PRIMARY KEY (${quoteColumns(keyColumns)})`;
+    logQuery(primaryKeyQuery);
+    await client.query(primaryKeyQuery);
+    return;
+  }
+  if (await hasUniqueIndexOn(client, tableName, keyColumns)) {
+    return;
+  }
+  const [, table] = tableName.split('.');
+  const indexName = sanitizeIndexName(`uq_${table}_${keyColumns.join('_')}`);
+  const createIndexQuery = `CREATE UNIQUE INDEX ${indexName} ON ${tableName} (${quoteColumns(keyColumns)})`;
+  if (!createKeyIndex) {
+    throw new Error(`${tableName} has no unique index on ${keyColumns.join(', ')}, which merging by key needs. Create it with "${createIndexQuery}" or pass --create-key-index`);
+  }
+  logQuery(createIndexQuery);
+  await client.query(createIndexQuery);
+}
+
+async function getColumnTypes(client, tableName) {
+  const query = `
+    SELECT a.attname AS name, format_type(a.atttypid, a.atttypmod) AS type
+    FROM pg_attribute a
+    WHERE a.attrelid = $1::regclass
+    AND a.attnum > 0
+    AND NOT a.attisdropped
+    ORDER BY a.attnum
+  `;
+  logQuery(query, [tableName]);
+  const result = await client.query(query, [tableName]);
+  return result.rows;
+}
+
+// The columns of a table with their types, null when it does not exist
+export async function getTableColumns(tableName) {
+  if (!pool) {
+    throw new Error('Database not initialized');
+  }
+  const client = await pool.connect();
+  try {
+    return await tableExists(client, tableName) ? await getColumnTypes(client, tableName) : null;
+  } finally {
+    client.release();
+  }
+}
+
+// Compares the file's columns with the target table's columns by name
+export function diffColumns(sourceColumns, targetColumns) {
+  const targetTypes = new Map(targetColumns.map(c => [c.name, c.type]));
+  const sourceNames = new Set(sourceColumns.map(c => c.name));
+  return {
+    added: sourceColumns.filter(c => !targetTypes.has(c.name)),
+    missing: targetColumns.filter(c => !sourceNames.has(c.name)),
+    typeChanged: sourceColumns
+      .filter(c => targetTypes.has(c.name) && targetTypes.get(c.name) !== c.type)
+      .map(c => ({ name: c.name, from: targetTypes.get(c.name), to: c.type }))
+  };
+}
+
+export function formatSchemaDiff(diff) {
+  return [
+    ...diff.added.map(c => `+ ${c.name} (${c.type})`),
+    ...diff.missing.map(c => `- ${c.name} (${c.type})`),
+    ...diff.typeChanged.map(c => `~ ${c.name} (${c.from} -> ${c.to})`)
+  ];
+}
+
+// Compares the columns the file would create with an existing target table
+// without writing anything: the column types are resolved by PostgreSQL inside
+// a read-only transaction. Returns null when the table does not exist yet.
+export async function previewSchemaDiff(tableName, columns, tableConfig, { mode } = {}) {
+  if (!pool) {
+    throw new Error('Database not initialized');
+  }
+
+  const client = await pool.connect();
+  try {
+    await client.query('BEGIN READ ONLY');
+    logQuery('BEGIN READ ONLY');
+    if (!await tableExists(client, tableName)) {
+      return null;
+    }
+
+    // An empty SELECT of typed NULLs reports each column's type and modifier
+    const typesQuery = `SELECT ${columns
+      .map(col => `NULL::${getSqlType(getColumnConfig(tableConfig, col))} AS "${col}"`)
+      .join(', ')} LIMIT 0`;
+    logQuery(typesQuery);
+    const { fields } = await client.query(typesQuery);
+    const formatQuery = `
+      SELECT format_type(t.oid, t.typmod) AS type
+      FROM unnest($1::oid[], $2::int[]) WITH ORDINALITY AS t(oid, typmod, idx)
+      ORDER BY t.idx
+    `;
+    const params = [fields.map(f => f.dataTypeID), fields.map(f => f.dataTypeModifier)];
+    logQuery(formatQuery, params);
+    const { rows } = await client.query(formatQuery, params);
+    const sourceColumns = columns.map((name, idx) => ({ name, type: rows[idx].type }));
+
+    const targetColumns = await getColumnTypes(client, tableName);
+    return diffColumns(sourceColumns, mode === 'scd2' ? withoutScd2Columns(targetColumns) : targetColumns);
+  } finally {
+    await client.query('ROLLBACK');
+    logQuery('ROLLBACK');
+    client.release();
+  }
+}
+
+function hasSchemaChanges(diff) {
+  return diff.added.length + diff.missing.length + diff.typeChanged.length > 0;
+}
+
+// Reconciles the staged columns with an existing target table according to the
+// schema evolution policy and returns the columns to copy, matched by name.
+// The history columns of an SCD type 2 target are left out of the comparison.
+async function evolveSchema(client, tmpTableName, originalTable, policy, mode) {
+  const sourceColumns = await getColumnTypes(client, tmpTableName);
+  const targetColumns = await getColumnTypes(client, originalTable);
+  const schemaDiff = diffColumns(sourceColumns, mode === 'scd2' ? withoutScd2Columns(targetColumns) : targetColumns);
+
+  if (hasSchemaChanges(schemaDiff)) {
+    console.log(`\n🧬 [${new Date().toISOString()}] Schema differences for ${originalTable}:`);
+    formatSchemaDiff(schemaDiff).forEach(line => console.log(`   ${line}`));
+  }
+
+  if (policy === 'strict' && hasSchemaChanges(schemaDiff)) {
+    throw new Error(`Schema of ${originalTable} does not match the file (--schema-evolution strict): ${formatSchemaDiff(schemaDiff).join(', ')}`);
+  }
+
+  const addedNames = schemaDiff.added.map(c => c.name);
+  if (policy === 'add-columns') {
+    for (const column of schemaDiff.added) {
+      const alterQuery = `ALTER TABLE ${originalTable} ADD COLUMN "${column.name}" ${column.type}`;
+      logQuery(alterQuery);
+      await client.query(alterQuery);
+    }
+  }
+
+  const insertColumns = sourceColumns
+    .map(c => c.name)
+    .filter(name => policy === 'add-columns' || !addedNames.includes(name));
+  return { insertColumns, schemaDiff };
+}
+
+// History columns of an SCD type 2 table, kept up to date by the import
+const SCD2_COLUMNS = {
+  valid_from: 'timestamptz NOT NULL',
+  valid_to: 'timestamptz',
+  is_current: 'boolean NOT NULL DEFAULT true',
+  row_hash: 'text NOT NULL'
+};
+
+function withoutScd2Columns(columns) {
+  return columns.filter(c => !SCD2_COLUMNS[c.name]);
+}
+
+async function checkScd2Columns(client, tmpTableName, originalTable, exists) {
+  const clashes = (await getColumnTypes(client, tmpTableName)).filter(c => SCD2_COLUMNS[c.name]);
+  if (clashes.length > 0) {
+    throw new Error(`Columns ${clashes.map(c => c.name).join(', ')} are reserved for the history kept by --mode scd2`);
+  }
+  if (!exists) {
+    return;
+  }
+  const targetNames = (await getColumnTypes(client, originalTable)).map(c => c.name);
+  const missing = Object.keys(SCD2_COLUMNS).filter(name => !targetNames.includes(name));
+  if (missing.length > 0) {
+    throw new Error(`${originalTable} has no ${missing.join(', ')} columns, --mode scd2 needs a table it created itself`);
+  }
+}
+
+async function createScd2Table(client, tmpTableName, originalTable, keyColumns) {
+  const createQuery = `CREATE TABLE ${originalTable} (LIKE ${tmpTableName} INCLUDING ALL)`;
+  logQuery(createQuery);
+  await client.query(createQuery);
+
+  // Keys repeat across versions, so the staging table's primary key cannot be
+  // copied; a partial unique index allows one current version per key instead
+  const constraintsQuery = `
+    SELECT conname FROM pg_constraint
+    WHERE conrelid = $1::regclass
+    AND contype IN ('p', 'u')
+  `;
+  logQuery(constraintsQuery, [originalTable]);
+  for (const { conname } of (await client.query(constraintsQuery, [originalTable])).rows) {
+    const dropQuery = format(`ALTER TABLE ${originalTable} DROP CONSTRAINT %I`, conname);
+    logQuery(dropQuery);
+    await client.query(dropQuery);
+  }
+  for (const [name, definition] of Object.entries(SCD2_COLUMNS)) {
+    const alterQuery = `ALTER TABLE ${originalTable} ADD COLUMN ${name} ${definition}`;
+    logQuery(alterQuery);
+    await client.query(alterQuery);
+  }
+  const [, table] = originalTable.split('.');
+  const indexName = sanitizeIndexName(`uq_${table}_current_${keyColumns.join('_')}`);
+  const indexQuery = `CREATE UNIQUE INDEX ${indexName} ON ${originalTable} (${quoteColumns(keyColumns)}) WHERE is_current`;
+  logQuery(indexQuery);
+  await client.query(indexQuery);
+}
+
+// Keeps the history of every key: current versions whose row hash differs from
+// the file are closed at effectiveAt and a new version is inserted, as are keys
+// seen for the first time. With closeMissing, keys missing from the file are
+// closed too, unless keepMissing. The hash covers the non-key columns except
+// hashExcludedColumns.
+async function mergeScd2Rows(client, tmpTableName, originalTable, columns, keyColumns, options) {
+  const { effectiveAt = new Date().toISOString(), closeMissing = false, keepMissing = false, hashExcludedColumns = [] } = options;
+  const hashColumns = columns.filter(c => !keyColumns.includes(c) && !hashExcludedColumns.includes(c));
+  // The text form of the row tells NULL and '' apart
+  const rowHash = `md5(ROW(${quoteColumns(hashColumns, 'source')})::text)`;
+  const keyMatch = keyColumns.map(c => `target."${c}" = source."${c}"`).join(' AND ');
+
+  const closeChangedQuery = `
+    UPDATE ${originalTable} AS target
+    SET valid_to = $1, is_current = false
+    FROM ${tmpTableName} AS source
+    WHERE target.is_current AND ${keyMatch}
+    AND target.row_hash <> ${rowHash}
+  `;
+  logQuery(closeChangedQuery, [effectiveAt]);
+  const updated = (await client.query(closeChangedQuery, [effectiveAt])).rowCount;
+  let keptMissing;
+
+  let deleted = 0;
+  if (closeMissing && keepMissing) {
+    keptMissing = true;
+  } else if (closeMissing) {
+    const closeMissingQuery = `
+      UPDATE ${originalTable} AS target
+      SET valid_to = $1, is_current = false
+      WHERE target.is_current AND NOT EXISTS (
+        SELECT 1 FROM ${tmpTableName} AS source
+        WHERE ${keyMatch}
+      )
+    `;
+    logQuery(closeMissingQuery, [effectiveAt]);
+    deleted = (await client.query(closeMissingQuery, [effectiveAt])).rowCount;
+  }
+
+  // New keys and the new versions of the rows closed above
+  const insertQuery = `
+    INSERT INTO ${originalTable} (${quoteColumns(columns)}, valid_from, valid_to, is_current, row_hash)
+    SELECT ${quoteColumns(columns, 'source')}, $1, NULL, true, ${rowHash}
+    FROM ${tmpTableName} AS source
+    WHERE NOT EXISTS (
+      SELECT 1 FROM ${originalTable} AS target
+      WHERE target.is_current AND ${keyMatch}
+    )
+  `;
+  logQuery(insertQuery, [effectiveAt]);
+  const versions = (await client.query(insertQuery, [effectiveAt])).rowCount;
+
+  return { inserted: versions - updated, updated, deleted, ...(keptMissing && { keptMissing }) };
+}
+
+// Rows that cannot be merged by key: those with an empty key column, which
+// never match a target row, and those whose key appears more than once, since
+// nothing tells which of them should win
+function getKeyRejectsQueries(tmpTableName, keyColumns) {
+  const keys = quoteColumns(keyColumns);
+  return {
+    emptyKeyQuery: `
+      DELETE FROM ${tmpTableName}
+      WHERE ${keyColumns.map(c => `"${c}" IS NULL`).join(' OR ')}
+      RETURNING ${keys}
+    `,
+    duplicateKeyQuery: `
+      DELETE FROM ${tmpTableName} AS source
+      USING (
+        SELECT ${keys} FROM ${tmpTableName}
+        GROUP BY ${keys}
+        HAVING count(*) > 1
+      ) AS duplicate
+      WHERE ${keyColumns.map(c => `source."${c}" = duplicate."${c}"`).join(' AND ')}
+      RETURNING ${quoteColumns(keyColumns, 'source')}
+    `
+  };
+}
+
+// Takes the rows that cannot be merged by key out of a staging table and
+// returns them as rejects, one per row. The staging table has no row numbers,
+// so the rejects carry the key instead.
+export async function removeKeyRejects(tmpTableName, keyColumns) {
+  if (!pool) {
+    throw new Error('Database not initialized');
+  }
+
+  const column = keyColumns.join(', ');
+  const formatKey = row => keyColumns.map(c => row[c] ?? '').join(', ');
+  const { emptyKeyQuery, duplicateKeyQuery } = getKeyRejectsQueries(tmpTableName, keyColumns);
+  logQuery(emptyKeyQuery);
+  const emptyKeys = (await pool.query(emptyKeyQuery)).rows;
+  logQuery(duplicateKeyQuery);
+  const duplicateKeys = (await pool.query(duplicateKeyQuery)).rows;
+  return [
+    ...emptyKeys.map(row => ({ row: null, column, value: formatKey(row), reason: 'Key is empty' })),
+    ...duplicateKeys.map(row => ({ row: null, column, value: formatKey(row), reason: 'Key appears more than once' }))
+  ];
+}
+
+// Staged parts of a batch are checked one by one, so the same key can still
+// arrive from two files
+async function checkDuplicateKeys(client, tmpTableName, keyColumns) {
+  const duplicateQuery = `
+    SELECT ${quoteColumns(keyColumns)} FROM ${tmpTableName}
+    GROUP BY ${quoteColumns(keyColumns)}
+    HAVING count(*) > 1
+    LIMIT 1
+  `;
+  logQuery(duplicateQuery);
+  const duplicates = await client.query(duplicateQuery);
+  if (duplicates.rows.length > 0) {
+    throw new Error(`Key ${JSON.stringify(duplicates.rows[0])} appears more than once in the staged rows, merging by key needs one row per key`);
+  }
+}
+
+export function getUpsertQuery(tmpTableName, originalTable, columns, keyColumns) {
+  const updateColumns = columns.filter(c => !keyColumns.includes(c));
+  // Rows whose values did not change are left alone so they are not counted as updated
+  const conflictAction = updateColumns.length === 0
+    ? 'DO NOTHING'
+    : `DO UPDATE SET ${updateColumns.map(c => `"${c}" = EXCLUDED."${c}"`).join(', ')}
+          WHERE (${quoteColumns(updateColumns, 'target')}) IS DISTINCT FROM (${quoteColumns(updateColumns, 'EXCLUDED')})`;
+
+  // xmax is 0 only for freshly inserted row versions
+  return `
+    WITH upserted AS (
+      INSERT INTO ${originalTable} AS target (${quoteColumns(columns)})
+      SELECT ${quoteColumns(columns)} FROM ${tmpTableName}
+      ON CONFLICT (${quoteColumns(keyColumns)})
+      ${conflictAction}
+      RETURNING (xmax = 0) AS inserted
+    )
+    SELECT
+      COUNT(*) FILTER (WHERE inserted) AS inserted,
+      COUNT(*) FILTER (WHERE NOT inserted) AS updated
+    FROM upserted
+  `;
+}
+
+// Target rows with an empty key column are matched like any other key, so
+// sync does not delete them on every run
+export function getDeleteMissingQuery(tmpTableName, originalTable, keyColumns) {
+  return `
+    DELETE FROM ${originalTable} AS target
+    WHERE NOT EXISTS (
+      SELECT 1 FROM ${tmpTableName} AS source
+      WHERE ${keyColumns.map(c => `source."${c}" IS NOT DISTINCT FROM target."${c}"`).join(' AND ')}
+    )
+  `;
+}
+
+async function upsertRows(client, tmpTableName, originalTable, columns, keyColumns) {
+  const upsertQuery = getUpsertQuery(tmpTableName, originalTable, columns, keyColumns);
+  logQuery(upsertQuery);
+  const result = await client.query(upsertQuery);
+  return {
+    inserted: Number(result.rows[0].inserted),
+    updated: Number(result.rows[0].updated)
+  };
+}
+
+async function deleteMissingRows(client, tmpTableName, originalTable, keyColumns) {
+  const deleteQuery = getDeleteMissingQuery(tmpTableName, originalTable, keyColumns);
+  logQuery(deleteQuery);
+  const result = await client.query(deleteQuery);
+  return result.rowCount;
+}
+
+// TRUNCATE refuses a table that other tables reference by foreign key, so such
+// tables are emptied with DELETE, which checks each reference and runs their
+// ON DELETE actions. With cascade, TRUNCATE ... CASCADE empties the referencing
+// tables as well.
+async function getClearTableQuery(client, tableName, cascade) {
+  if (cascade) {
+    return `TRUNCATE TABLE ${tableName} CASCADE`;
+  }
+  const query = `
+    SELECT EXISTS (
+      SELECT FROM pg_constraint
+      WHERE confrelid = $1::regclass
+      AND contype = 'f'
+    )
+  `;
+  logQuery(query, [tableName]);
+  const result = await client.query(query, [tableName]);
+  return result.rows[0].exists ? `DELETE FROM ${tableName}` : `TRUNCATE TABLE ${tableName}`;
+}
+
+// Lists the backups of a table, newest first. Unquoted names are stored in lower case.
+async function listBackupTables(client, tableName) {
+  const [schema, prefix] = getBackupTableName(normalizeTableName(tableName), '').split('.');
+  const pattern = `^${escapeRegExp(prefix)}[0-9]{14}$`;
+  const query = `
+    SELECT table_name FROM information_schema.tables
+    WHERE table_schema = $1
+    AND table_name ~ $2
+    ORDER BY table_name DESC
+  `;
+  logQuery(query, [schema, pattern]);
+  const result = await client.query(query, [schema, pattern]);
+  return result.rows.map(({ table_name: name }) => ({
+    table: `${schema}.${name}`,
+    version: name.slice(-14)
+  }));
+}
+
+// A second import within the same second moves the version on by a second
+async function getNewBackupTableName(client, tableName) {
+  const version = moment();
+  while (await tableExists(client, getBackupTableName(tableName, version.format(VERSION_FORMAT)))) {
+    version.add(1, 'second');
+  }
+  return getBackupTableName(tableName, version.format(VERSION_FORMAT));
+}
+
+async function renameToBackup(client, tableName) {
+  const backupTable = await getNewBackupTableName(client, tableName);
+  const renameQuery = `ALTER TABLE ${tableName} RENAME TO ${backupTable.split('.')[1]}`;
+  logQuery(renameQuery);
+  await client.query(renameQuery);
+  return backupTable;
+}
+
+// Strategies that change the table in place keep a copy of its rows instead
+async function copyToBackup(client, tableName) {
+  const backupTable = await getNewBackupTableName(client, tableName);
+  const createQuery = `CREATE TABLE ${backupTable} (LIKE ${tableName} INCLUDING ALL)`;
+  logQuery(createQuery);
+  await client.query(createQuery);
+
+  const insertQuery = `INSERT INTO ${backupTable} OVERRIDING SYSTEM VALUE SELECT * FROM ${tableName}`;
+  logQuery(insertQuery);
+  await client.query(insertQuery);
+
+  // The comment holds the details of the import that loaded the rows
+  await setTableComment(client, backupTable, await getTableComment(client, tableName));
+  return backupTable;
+}
+
+async function setTableComment(client, tableName, comment) {
+  const commentQuery = format(`COMMENT ON TABLE ${tableName} IS %L`, comment);
+  logQuery(commentQuery);
+  await client.query(commentQuery);
+}
+
+function formatImportMetadata(metadata) {
+  return JSON.stringify({ xlsx_to_psql: metadata });
+}
+
+// Views and foreign keys follow a renamed table, so a table they depend on
+// cannot be replaced by renaming without leaving them on the old version
+async function getDependentObjects(client, tableName) {
+  const query = `
+    SELECT DISTINCT r.ev_class::regclass::text AS name
+    FROM pg_depend d
+    JOIN pg_rewrite r ON r.oid = d.objid
+    WHERE d.classid = 'pg_rewrite'::regclass
+    AND d.refobjid = $1::regclass
+    AND r.ev_class <> $1::regclass
+    UNION
+    SELECT conrelid::regclass::text
+    FROM pg_constraint
+    WHERE confrelid = $1::regclass
+    AND contype = 'f'
+    AND conrelid <> $1::regclass
+  `;
+  logQuery(query, [tableName]);
+  const result = await client.query(query, [tableName]);
+  return result.rows.map(row => row.name);
+}
+
+async function getTableComment(client, tableName) {
+  const query = `SELECT obj_description($1::regclass, 'pg_class') AS comment`;
+  logQuery(query, [tableName]);
+  const result = await client.query(query, [tableName]);
+  return result.rows[0].comment;
+}
+
+// Drops the backups beyond the newest keepVersions, returning their names
+async function pruneBackups(client, tableName, keepVersions) {
+  const dropped = [];
+  for (const { table } of (await listBackupTables(client, tableName)).slice(keepVersions)) {
+    const dropQuery = `DROP TABLE ${table}`;
+    logQuery(dropQuery);
+    await client.query(dropQuery);
+    dropped.push(table);
+  }
+  return dropped;
+}
+
+// Moves the staged rows into the original table. With shouldTruncate the original
+// table is replaced, either by renaming the temp table over it or, with
+// options.swapStrategy 'truncate-insert', by refilling it in place (see
+// getClearTableQuery for options.truncateCascade); otherwise rows are merged by column name according to
+// options.mode (append, upsert or sync) after reconciling the schemas with
+// options.schemaEvolution (add-columns, strict or ignore). Mode scd2 keeps
+// the history of each key instead, see mergeScd2Rows. Returns the
+// inserted/updated/deleted counts and the schema diff where they are known.
+// Merging by key needs a unique index on the key columns, which is only
+// created on an existing table with options.createKeyIndex. With
+// options.keepMissing, sync and scd2 with closeMissing leave rows whose key is
+// missing from the file alone, since the file row may have been rejected, and
+// set counts.keptMissing.
+// options.metadata is written to the table comment on every swap, so it always
+// describes the rows in the table. With options.keepVersions the replaced
+// table is kept as a backup along with its comment (the newest keepVersions are
+// kept). Renaming refuses to keep a backup of a table that views or foreign
+// keys depend on, since they would stay on the backup.
+export async function swapTables(tmpTableName, originalTable, shouldTruncate, options = {}) {
   if (!pool) {
     throw new Error('Database not initialized');
   }
 
+  const {
+    mode = 'append', keyColumns = [], schemaEvolution = 'ignore', swapStrategy = 'rename', keepVersions = 0, metadata,
+    createKeyIndex = false, truncateCascade = false, keepMissing = false
+  } = options;
+  if (!shouldTruncate && mode !== 'append' && keyColumns.length === 0) {
+    throw new Error(`Merge mode '${mode}' requires key columns (mark columns as primary in the table config or pass --key)`);
+  }
+
   const client = await pool.connect();
   try {
     await client.query('BEGIN');
     logQuery('BEGIN');
 
     const [schema, table] = originalTable.split('.');
+    const counts = {};
+    const keepBackup = keepVersions > 0 && await tableExists(client, originalTable);
 
-    if (shouldTruncate) {
-      // Drop original and rename temp
-      const dropQuery = `DROP TABLE IF EXISTS ${originalTable}`;
-      logQuery(dropQuery);
-      await client.query(dropQuery);
+    if (shouldTruncate && swapStrategy === 'truncate-insert' && await tableExists(client, originalTable)) {
+      // Keep the original table object so its grants, views, constraints,
+      // triggers, comments and policies survive; only its rows are replaced
+      if (keepBackup) {
+        counts.backupTable = await copyToBackup(client, originalTable);
+      }
+      const { insertColumns, schemaDiff } = await evolveSchema(client, tmpTableName, originalTable, schemaEvolution);
+      counts.schemaDiff = schemaDiff;
+
+      const clearQuery = await getClearTableQuery(client, originalTable, truncateCascade);
+      logQuery(clearQuery);
+      await client.query(clearQuery);
+
+      const insertQuery = `
+        INSERT INTO ${originalTable} (${quoteColumns(insertColumns)})
+        SELECT ${quoteColumns(insertColumns)} FROM ${tmpTableName}
+      `;
+      logQuery(insertQuery);
+      const result = await client.query(insertQuery);
+      counts.inserted = result.rowCount;
+
+      const dropTempQuery = `DROP TABLE ${tmpTableName}`;
+      logQuery(dropTempQuery);
+      await client.query(dropTempQuery);
+    } else if (shouldTruncate) {
+      // Drop (or keep as a backup) original and rename temp
+      if (keepBackup) {
+        const dependents = await getDependentObjects(client, originalTable);
+        if (dependents.length > 0) {
+          throw new Error(`Cannot keep ${originalTable} as a backup by renaming it, ${dependents.join(', ')} would stay on the backup. Use --swap-strategy truncate-insert`);
+        }
+        counts.backupTable = await renameToBackup(client, originalTable);
+      } else {
+        const dropQuery = `DROP TABLE IF EXISTS ${originalTable}`;
+        logQuery(dropQuery);
+        await client.query(dropQuery);
+      }
 
       const renameQuery = `ALTER TABLE ${tmpTableName} RENAME TO ${table}`;
       logQuery(renameQuery);
@@ -208,21 +900,56 @@ export async function swapTables(tmpTableName, originalTable, shouldTruncate) {
     } else {
       // Create original table if it doesn't exist
       const exists = await tableExists(client, originalTable);
-      if (!exists) {
+      let insertColumns;
+      if (mode === 'scd2') {
+        await checkScd2Columns(client, tmpTableName, originalTable, exists);
+      }
+      if (!exists && mode === 'scd2') {
+        await createScd2Table(client, tmpTableName, originalTable, keyColumns);
+        insertColumns = (await getColumnTypes(client, tmpTableName)).map(c => c.name);
+      } else if (!exists) {
         const createLikeQuery = `
           CREATE TABLE ${originalTable} (LIKE ${tmpTableName} INCLUDING ALL)
         `;
         logQuery(createLikeQuery);
         await client.query(createLikeQuery);
+        insertColumns = (await getColumnTypes(client, tmpTableName)).map(c => c.name);
+      } else {
+        if (keepBackup) {
+          counts.backupTable = await copyToBackup(client, originalTable);
+        }
+        const evolution = await evolveSchema(client, tmpTableName, originalTable, schemaEvolution, mode);
+        insertColumns = evolution.insertColumns;
+        counts.schemaDiff = evolution.schemaDiff;
       }
 
-      // Insert data from temp to original
-      const insertQuery = `
-        INSERT INTO ${originalTable}
-        SELECT * FROM ${tmpTableName}
-      `;
-      logQuery(insertQuery);
-      await client.query(insertQuery);
+      const missingKeys = keyColumns.filter(k => !insertColumns.includes(k));
+      if (missingKeys.length > 0) {
+        throw new Error(`Key columns missing from ${originalTable}: ${missingKeys.join(', ')}`);
+      }
+
+      if (mode === 'append') {
+        // Insert data from temp to original, matching columns by name
+        const insertQuery = `
+          INSERT INTO ${originalTable} (${quoteColumns(insertColumns)})
+          SELECT ${quoteColumns(insertColumns)} FROM ${tmpTableName}
+        `;
+        logQuery(insertQuery);
+        const result = await client.query(insertQuery);
+        counts.inserted = result.rowCount;
+      } else if (mode === 'scd2') {
+        await checkDuplicateKeys(client, tmpTableName, keyColumns);
+        Object.assign(counts, await mergeScd2Rows(client, tmpTableName, originalTable, insertColumns, keyColumns, options));
+      } else {
+        await checkDuplicateKeys(client, tmpTableName, keyColumns);
+        await ensureUniqueKey(client, originalTable, keyColumns, { created: !exists, createKeyIndex });
+        Object.assign(counts, await upsertRows(client, tmpTableName, originalTable, insertColumns, keyColumns));
+        if (mode === 'sync' && keepMissing) {
+          counts.keptMissing = true;
+        } else if (mode === 'sync') {
+          counts.deleted = await deleteMissingRows(client, tmpTableName, originalTable, keyColumns);
+        }
+      }
 
       // Drop temp table
       const dropTempQuery = `DROP TABLE ${tmpTableName}`;
@@ -230,8 +957,16 @@ export async function swapTables(tmpTableName, originalTable, shouldTruncate) {
       await client.query(dropTempQuery);
     }
 
+    if (metadata) {
+      await setTableComment(client, originalTable, formatImportMetadata(metadata));
+    }
+    if (keepVersions > 0) {
+      counts.droppedVersions = await pruneBackups(client, originalTable, keepVersions);
+    }
+
     await client.query('COMMIT');
     logQuery('COMMIT');
+    return counts;
   } catch (error) {
     console.error(`⚠️ [${new Date().toISOString()}] Database error:`, {
       message: error.message,
@@ -247,6 +982,391 @@ export async function swapTables(tmpTableName, originalTable, shouldTruncate) {
   }
 }
 
+// Creates the audit table that records every import run, if it does not exist
+export async function ensureAuditTable(auditTable) {
+  if (!pool) {
+    throw new Error('Database not initialized');
+  }
+  const [schema, table] = auditTable.split('.');
+  const createQuery = format(`
+    CREATE TABLE IF NOT EXISTS %I.%I (
+      id BIGSERIAL PRIMARY KEY,
+      started_at TIMESTAMPTZ NOT NULL,
+      finished_at TIMESTAMPTZ NOT NULL,
+      duration_seconds NUMERIC,
+      status TEXT NOT NULL,
+      error_message TEXT,
+      file_name TEXT,
+      file_sha256 TEXT,
+      sheet_name TEXT,
+      target_table TEXT,
+      mode TEXT,
+      total_rows INTEGER,
+      valid_rows INTEGER,
+      empty_rows INTEGER,
+      skipped_rows INTEGER,
+      inserted_rows INTEGER,
+      updated_rows INTEGER,
+      deleted_rows INTEGER,
+      options JSONB,
+      tool_version TEXT,
+      import_id UUID
+    )
+  `, schema, table);
+  logQuery(createQuery);
+  await pool.query(createQuery);
+
+  // Audit tables created before import ids were recorded
+  const alterQuery = format('ALTER TABLE %I.%I ADD COLUMN IF NOT EXISTS import_id UUID', schema, table);
+  logQuery(alterQuery);
+  await pool.query(alterQuery);
+}
+
+const AUDIT_COLUMNS = [
+  'started_at', 'finished_at', 'duration_seconds', 'status', 'error_message',
+  'file_name', 'file_sha256', 'sheet_name', 'target_table', 'mode',
+  'total_rows', 'valid_rows', 'empty_rows', 'skipped_rows',
+  'inserted_rows', 'updated_rows', 'deleted_rows', 'options', 'tool_version', 'import_id'
+];
+
+// Appends one row to the audit table; record is keyed by the audit column names
+export async function insertAuditRecord(auditTable, record) {
+  if (!pool) {
+    throw new Error('Database not initialized');
+  }
+  const [schema, table] = auditTable.split('.');
+  const insertQuery = format(
+    'INSERT INTO %I.%I (%s) VALUES (%s)',
+    schema,
+    table,
+    quoteColumns(AUDIT_COLUMNS),
+    AUDIT_COLUMNS.map((_, idx) => `$${idx + 1}`).join(', ')
+  );
+  await pool.query(insertQuery, AUDIT_COLUMNS.map(column => record[column] ?? null));
+}
+
+// Creates the table holding the hashes of the last successful import per target
+export async function ensureStateTable(stateTable) {
+  if (!pool) {
+    throw new Error('Database not initialized');
+  }
+  const [schema, table] = stateTable.split('.');
+  const createQuery = format(`
+    CREATE TABLE IF NOT EXISTS %I.%I (
+      target_table TEXT PRIMARY KEY,
+      file_name TEXT,
+      file_sha256 TEXT,
+      config_sha256 TEXT,
+      content_sha256 TEXT,
+      imported_at TIMESTAMPTZ NOT NULL
+    )
+  `, schema, table);
+  logQuery(createQuery);
+  await pool.query(createQuery);
+}
+
+export async function getImportState(stateTable, targetTable) {
+  if (!pool) {
+    throw new Error('Database not initialized');
+  }
+  const [schema, table] = stateTable.split('.');
+  const query = format('SELECT * FROM %I.%I WHERE target_table = $1', schema, table);
+  logQuery(query, [targetTable]);
+  const result = await pool.query(query, [targetTable]);
+  return result.rows[0] || null;
+}
+
+export async function saveImportState(stateTable, targetTable, state) {
+  if (!pool) {
+    throw new Error('Database not initialized');
+  }
+  const [schema, table] = stateTable.split('.');
+  const query = format(`
+    INSERT INTO %I.%I (target_table, file_name, file_sha256, config_sha256, content_sha256, imported_at)
+    VALUES ($1, $2, $3, $4, $5, now())
+    ON CONFLICT (target_table) DO UPDATE SET
+      file_name = EXCLUDED.file_name,
+      file_sha256 = EXCLUDED.file_sha256,
+      config_sha256 = EXCLUDED.config_sha256,
+      content_sha256 = EXCLUDED.content_sha256,
+      imported_at = EXCLUDED.imported_at
+  `, schema, table);
+  const params = [targetTable, state.fileName, state.fileSha256, state.configSha256, state.contentSha256];
+  logQuery(query, params);
+  await pool.query(query, params);
+}
+
+// A rollback puts other rows in the target, so its last import no longer
+// describes it. Does nothing when the state table does not exist.
+export async function clearImportState(stateTable, targetTable) {
+  if (!pool) {
+    throw new Error('Database not initialized');
+  }
+  const existsQuery = 'SELECT to_regclass($1) IS NOT NULL AS exists';
+  logQuery(existsQuery, [stateTable]);
+  if (!(await pool.query(existsQuery, [stateTable])).rows[0].exists) {
+    return;
+  }
+  const [schema, table] = stateTable.split('.');
+  const query = format('DELETE FROM %I.%I WHERE target_table = $1', schema, table);
+  logQuery(query, [targetTable]);
+  await pool.query(query, [targetTable]);
+}
+
+// Advisory lock keys are (namespace, hashtext(table)), so they do not clash
+// with locks taken by other applications on the same database. The table name
+// is normalized first, so every spelling of a table takes the same lock.
+const LOCK_NAMESPACE = 2016571507;
+
+// Takes a session-level advisory lock on the target table, so only one import
+// stages and swaps into it at a time. The lock is held by a dedicated
+// connection until releaseTableLock, and is freed by PostgreSQL if the process
+// dies. With wait false an import that is already running fails the call;
+// otherwise it waits up to timeoutSeconds (0 waits as long as it takes).
+export async function acquireTableLock(tableName, { wait = true, timeoutSeconds = 0 } = {}) {
+  if (!pool) {
+    throw new Error('Database not initialized');
+  }
+
+  const key = normalizeTableName(tableName);
+  const client = await pool.connect();
+  try {
+    if (!wait) {
+      const query = 'SELECT pg_try_advisory_lock($1, hashtext($2)) AS locked';
+      logQuery(query, [LOCK_NAMESPACE, key]);
+      const result = await client.query(query, [LOCK_NAMESPACE, key]);
+      if (!result.rows[0].locked) {
+        throw new Error(`Another import into ${tableName} is running`);
+      }
+      return { client, tableName, key };
+    }
+
+    await client.query('BEGIN');
+    logQuery('BEGIN');
+    // lock_timeout bounds the wait for advisory locks too; SET LOCAL ends with
+    // the transaction while the session-level lock itself is kept
+    const timeoutQuery = format('SET LOCAL lock_timeout = %L', `${Math.round(timeoutSeconds * 1000)}ms`);
+    logQuery(timeoutQuery);
+    await client.query(timeoutQuery);
+    const query = 'SELECT pg_advisory_lock($1, hashtext($2))';
+    logQuery(query, [LOCK_NAMESPACE, key]);
+    try {
+      await client.query(query, [LOCK_NAMESPACE, key]);
+    } catch (error) {
+      await client.query('ROLLBACK');
+      logQuery('ROLLBACK');
+      // 55P03 is lock_not_available
+      if (error.code === '55P03') {
+        throw new Error(`Timed out after ${timeoutSeconds}s waiting for another import into ${tableName}`);
+      }
+      throw error;
+    }
+    await client.query('COMMIT');
+    logQuery('COMMIT');
+    return { client, tableName, key };
+  } catch (error) {
+    client.release();
+    throw error;
+  }
+}
+
+export async function releaseTableLock(lock) {
+  try {
+    const query = 'SELECT pg_advisory_unlock($1, hashtext($2))';
+    logQuery(query, [LOCK_NAMESPACE, lock.key]);
+    await lock.client.query(query, [LOCK_NAMESPACE, lock.key]);
+    lock.client.release();
+  } catch (error) {
+    // Closing the connection frees the lock as well
+    lock.client.release(error);
+  }
+}
+
+// Drops the staging tables of the target left behind by runs that crashed or
+// were killed. Only safe while holding the target's lock, when no other
+// import can be staging into it. Returns the dropped table names.
+export async function dropOrphanedTempTables(tableName) {
+  if (!pool) {
+    throw new Error('Database not initialized');
+  }
+
+  const [schema, table] = getTempTableName(normalizeTableName(tableName)).split('.');
+  // <table>_tmp from older versions, and <table>_tmp_<id>[_<part>]; unquoted
+  // names are stored in lower case
+  const pattern = `^${escapeRegExp(table)}(_[0-9a-f]{8}(_[0-9]+)?)?$`;
+  const query = `
+    SELECT table_name FROM information_schema.tables
+    WHERE table_schema = $1
+    AND table_name ~ $2
+  `;
+  logQuery(query, [schema, pattern]);
+  const result = await pool.query(query, [schema, pattern]);
+
+  const dropped = [];
+  for (const { table_name: orphan } of result.rows) {
+    const dropQuery = format('DROP TABLE IF EXISTS %I.%I', schema, orphan);
+    logQuery(dropQuery);
+    await pool.query(dropQuery);
+    dropped.push(`${schema}.${orphan}`);
+  }
+  return dropped;
+}
+
+// Lists the current table and its backups, newest first, with their row counts
+// and the details of the import that loaded them
+export async function listTableVersions(tableName) {
+  if (!pool) {
+    throw new Error('Database not initialized');
+  }
+
+  const client = await pool.connect();
+  try {
+    const versions = [];
+    if (await tableExists(client, tableName)) {
+      versions.push({ table: tableName, version: 'current' });
+    }
+    versions.push(...await listBackupTables(client, tableName));
+    for (const entry of versions) {
+      const countQuery = `SELECT count(*) AS rows FROM ${entry.table}`;
+      logQuery(countQuery);
+      entry.rows = Number((await client.query(countQuery)).rows[0].rows);
+      entry.metadata = parseImportMetadata(await getTableComment(client, entry.table));
+    }
+    return versions;
+  } finally {
+    client.release();
+  }
+}
+
+// Puts a backup back in place of the table in one transaction. version is a
+// backup's timestamp or table name, the newest backup by default. The
+// replaced table becomes a backup itself, so a rollback can be undone.
+// When the backup has the table's columns, the rows are copied back into the
+// table, which keeps its grants, views, triggers, foreign keys and owner (see
+// getClearTableQuery); the restored backup is then dropped. Otherwise the
+// backup is renamed into place, which is refused while views or foreign keys
+// depend on the table. Either way the table gets the backup's comment, with
+// the import details marked as restored.
+export async function rollbackTable(tableName, version) {
+  if (!pool) {
+    throw new Error('Database not initialized');
+  }
+
+  const client = await pool.connect();
+  try {
+    await client.query('BEGIN');
+    logQuery('BEGIN');
+
+    const backups = await listBackupTables(client, tableName);
+    if (backups.length === 0) {
+      throw new Error(`${tableName} has no previous versions, import with --keep-versions to keep them`);
+    }
+    const requested = version && String(version).toLowerCase();
+    const backup = requested
+      ? backups.find(entry => entry.version === requested || entry.table === requested || entry.table.split('.')[1] === requested)
+      : backups[0];
+    if (!backup) {
+      throw new Error(`${tableName} has no version '${version}'. Available versions: ${backups.map(entry => entry.version).join(', ')}`);
+    }
+
+    const restoredComment = await getTableComment(client, backup.table);
+    const restoredMetadata = parseImportMetadata(restoredComment);
+    let replacedBy = null;
+    let inPlace = false;
+    if (await tableExists(client, tableName)) {
+      const columns = await getColumnTypes(client, tableName);
+      inPlace = !hasSchemaChanges(diffColumns(await getColumnTypes(client, backup.table), columns));
+      if (inPlace) {
+        replacedBy = await copyToBackup(client, tableName);
+        const clearQuery = await getClearTableQuery(client, tableName, false);
+        logQuery(clearQuery);
+        await client.query(clearQuery);
+
+        const names = quoteColumns(columns.map(c => c.name));
+        const insertQuery = `INSERT INTO ${tableName} (${names}) OVERRIDING SYSTEM VALUE SELECT ${names} FROM ${backup.table}`;
+        logQuery(insertQuery);
+        await client.query(insertQuery);
+
+        const dropQuery = `DROP TABLE ${backup.table}`;
+        logQuery(dropQuery);
+        await client.query(dropQuery);
+      } else {
+        const dependents = await getDependentObjects(client, tableName);
+        if (dependents.length > 0) {
+          throw new Error(`Cannot roll ${tableName} back to ${backup.version}: its columns differ from the table's, and renaming it into place would leave ${dependents.join(', ')} on the replaced table`);
+        }
+        replacedBy = await renameToBackup(client, tableName);
+        await renameIntoPlace(client, backup.table, tableName);
+      }
+    } else {
+      await renameIntoPlace(client, backup.table, tableName);
+    }
+    await setTableComment(client, tableName, restoredMetadata
+      ? formatImportMetadata({ ...restoredMetadata, restoredFrom: backup.version })
+      : restoredComment);
+
+    await client.query('COMMIT');
+    logQuery('COMMIT');
+    return { restored: backup, replacedBy, inPlace };
+  } catch (error) {
+    await client.query('ROLLBACK');
+    logQuery('ROLLBACK');
+    throw error;
+  } finally {
+    client.release();
+  }
+}
+
+async function renameIntoPlace(client, backupTable, tableName) {
+  const renameQuery = `ALTER TABLE ${backupTable} RENAME TO ${tableName.split('.')[1]}`;
+  logQuery(renameQuery);
+  await client.query(renameQuery);
+}
+
+// Moves the rows of one staging table into another and drops it, so the files
+// of a batch reach the target in a single swap
+export async function appendStagedRows(sourceTable, targetTable, columns) {
+  if (!pool) {
+    throw new Error('Database not initialized');
+  }
+
+  const client = await pool.connect();
+  try {
+    await client.query('BEGIN');
+    logQuery('BEGIN');
+
+    const insertQuery = `
+      INSERT INTO ${targetTable} (${quoteColumns(columns)})
+      SELECT ${quoteColumns(columns)} FROM ${sourceTable}
+    `;
+    const result = await client.query(insertQuery);
+
+    const dropQuery = `DROP TABLE ${sourceTable}`;
+    logQuery(dropQuery);
+    await client.query(dropQuery);
+
+    await client.query('COMMIT');
+    logQuery('COMMIT');
+    return result.rowCount;
+  } catch (error) {
+    await client.query('ROLLBACK');
+    logQuery('ROLLBACK');
+    throw error;
+  } finally {
+    client.release();
+  }
+}
+
+// Drops a staging table left behind by an import that was aborted
+export async function dropTable(tableName) {
+  if (!pool) {
+    throw new Error('Database not initialized');
+  }
+  const dropQuery = `DROP TABLE IF EXISTS ${tableName}`;
+  logQuery(dropQuery);
+  await pool.query(dropQuery);
+}
+
 export async function closeDB() {
   if (pool) {
     await pool.end();
@@ -0,0 +1,186 @@
+import crypto from 'crypto';
+import { getTableConfigOverrides } from './getTableConfig.mjs';
+import { transformValue, isBlank } from './transform.mjs';
+
+// Lineage values and the field types their columns get by default
+const LINEAGE_TYPES = {
+  $source_file: 'string',
+  $sheet_name: 'string',
+  $row_number: 'integer',
+  $imported_at: 'timestamptz',
+  $import_id: 'uuid'
+};
+// Lineage values that differ on every run, e.g. for content hashes
+const RUN_SPECIFIC = ['$imported_at', '$import_id'];
+const EXPRESSION_KINDS = ['value', 'template', 'split', 'regex', 'lookup'];
+const TEMPLATE_PATTERN = /\{([^}]+)\}/g;
+
+function toText(value) {
+  return value instanceof Date ? value.toISOString() : String(value);
+}
+
+function getReferencedColumns(kind, expression) {
+  if (kind === 'template') {
+    return [...expression.matchAll(TEMPLATE_PATTERN)].map(match => match[1]);
+  }
+  if (['split', 'regex', 'lookup'].includes(kind)) {
+    return [expression.column];
+  }
+  return [];
+}
+
+function parseExtraColumn(name, definition) {
+  // A plain value is a constant or a lineage value like "$row_number"
+  const spec = definition !== null && typeof definition === 'object' && !Array.isArray(definition)
+    ? definition
+    : { value: definition };
+  const kinds = EXPRESSION_KINDS.filter(kind => spec[kind] !== undefined);
+  if (kinds.length !== 1) {
+    throw new Error(`Extra column '${name}' needs exactly one of ${EXPRESSION_KINDS.join(', ')}`);
+  }
+  const [kind] = kinds;
+  const expression = spec[kind];
+
+  let lineage = null;
+  if (kind === 'value' && typeof expression === 'string' && expression.startsWith('$')) {
+    if (!LINEAGE_TYPES[expression]) {
+      throw new Error(`Unknown lineage value '${expression}' for extra column '${name}'. Supported values are ${Object.keys(LINEAGE_TYPES).join(', ')}`);
+    }
+    lineage = expression;
+  }
+  if (['split', 'regex', 'lookup'].includes(kind) && !expression.column) {
+    throw new Error(`Extra column '${name}' needs the column its ${kind} reads from`);
+  }
+  let pattern = null;
+  if (kind === 'regex') {
+    try {
+      pattern = new RegExp(expression.pattern, expression.flags);
+    } catch (error) {
+      throw new Error(`Invalid regex for extra column '${name}': ${error.message}`);
+    }
+  }
+
+  return {
+    header: name,
+    sqlColumn: name,
+    fieldType: spec.fieldType || LINEAGE_TYPES[lineage] || 'string',
+    primary: false,
+    notNull: Boolean(spec.notNull),
+    skip: false,
+    needIndex: Boolean(spec.needIndex),
+    isHyperlink: false,
+    ...(spec.timezone && { timezone: spec.timezone }),
+    ...(spec.formats && { formats: spec.formats }),
+    ...(spec.numberFormat && { numberFormat: spec.numberFormat }),
+    ...(spec.validate && { validate: spec.validate }),
+    extraColumn: { kind, expression, lineage, pattern, references: getReferencedColumns(kind, expression) },
+    runSpecific: RUN_SPECIFIC.includes(lineage)
+  };
+}
+
+// Reads the "$extraColumns" section of the table config: columns that are not
+// in the sheet but filled from lineage values, constants or expressions on
+// other columns. Returns them as column configs for the table definition.
+export function getExtraColumnConfigs(tableConfigFile) {
+  const extraColumns = getTableConfigOverrides(tableConfigFile).$extraColumns || {};
+  return Object.entries(extraColumns).map(([name, definition]) => parseExtraColumn(name, definition));
+}
+
+function evaluate(extraColumn, valueOf) {
+  const { kind, expression, pattern } = extraColumn;
+  switch (kind) {
+    case 'value':
+      return expression;
+
+    case 'template': {
+      const references = extraColumn.references.map(valueOf);
+      if (references.every(isBlank)) {
+        return null;
+      }
+      return expression.replace(TEMPLATE_PATTERN, (_, column) => {
+        const value = valueOf(column);
+        return isBlank(value) ? '' : toText(value);
+      });
+    }
+
+    case 'split': {
+      const value = valueOf(expression.column);
+      if (isBlank(value)) {
+        return null;
+      }
+      const parts = toText(value).split(expression.separator ?? ' ');
+      // A negative index counts from the end, -1 is the last part
+      const index = expression.index ?? 0;
+      const part = parts[index < 0 ? parts.length + index : index];
+      return part === undefined ? null : part.trim();
+    }
+
+    case 'regex': {
+      const value = valueOf(expression.column);
+      const match = isBlank(value) ? null : pattern.exec(toText(value));
+      if (!match) {
+        return null;
+      }
+      // Without a group the first capture group (or the whole match) is used
+      return match[expression.group ?? (match.length > 1 ? 1 : 0)] ?? null;
+    }
+
+    case 'lookup': {
+      const value = valueOf(expression.column);
+      const key = isBlank(value) ? '' : toText(value).trim();
+      return Object.prototype.hasOwnProperty.call(expression.map, key) ? expression.map[key] : (expression.default ?? null);
+    }
+
+    default:
+      return null;
+  }
+}
+
+// Creates the function that fills the extra columns of a row. headers are the
+// sheet's column headers, sourceValues the row's cell values in the same order
+// (before type conversion, so skipped columns can be used too). lineage holds
+// sourceFile, sheetName, importId and importedAt; the import id and time
+// default to one value per call of this function.
+export function createExtraColumnsResolver(extraConfigs, headers, lineage = {}, timezone) {
+  extraConfigs.forEach(config => {
+    if (headers.includes(config.header)) {
+      throw new Error(`Extra column '${config.header}' clashes with a column of the sheet`);
+    }
+    config.extraColumn.references.forEach(column => {
+      if (!headers.includes(column)) {
+        throw new Error(`Extra column '${config.header}' refers to unknown column '${column}'`);
+      }
+    });
+  });
+
+  const lineageValues = {
+    $source_file: lineage.sourceFile ?? null,
+    $sheet_name: lineage.sheetName ?? null,
+    $imported_at: lineage.importedAt ?? new Date().toISOString(),
+    $import_id: lineage.importId ?? crypto.randomUUID()
+  };
+
+  return (sourceValues, rowNumber) => {
+    const values = [];
+    const errors = [];
+    const valueOf = column => sourceValues[headers.indexOf(column)];
+
+    extraConfigs.forEach(config => {
+      const { lineage: token } = config.extraColumn;
+      // Lineage values are already in their final form
+      if (token) {
+        values.push(token === '$row_number' ? rowNumber : lineageValues[token]);
+        return;
+      }
+      const raw = evaluate(config.extraColumn, valueOf);
+      try {
+        values.push(transformValue(raw, config, timezone));
+      } catch (error) {
+        values.push(null);
+        errors.push({ column: config.header, value: raw, reason: error.message });
+      }
+    });
+
+    return { values, errors };
+  };
+}
@@ -0,0 +1,59 @@
+// Aliases accepted in the column config's fieldType
+const FIELD_TYPE_ALIASES = {
+  text: 'string',
+  int: 'integer',
+  int4: 'integer',
+  int8: 'bigint',
+  bool: 'boolean',
+  decimal: 'numeric',
+  timestamp_tz: 'timestamptz'
+};
+
+// Parses a fieldType such as "integer", "numeric(12,2)" or "jsonb" into its
+// base type plus the numeric precision and scale, which can also be given as
+// separate precision/scale keys on the column config.
+export function parseFieldType(config) {
+  const raw = String(config.fieldType || 'string').toLowerCase().replace(/\s+/g, '');
+  const match = /^([a-z_0-9]+)(?:\((\d+)(?:,(\d+))?\))?$/.exec(raw);
+  if (!match) {
+    throw new Error(`Invalid fieldType '${config.fieldType}' for column '${config.header}'`);
+  }
+  const type = FIELD_TYPE_ALIASES[match[1]] || match[1];
+  const precision = match[2] !== undefined ? Number(match[2]) : config.precision;
+  const scale = match[3] !== undefined ? Number(match[3]) : config.scale;
+  return { type, precision, scale };
+}
+
+export function getSqlType(config) {
+  const { type, precision, scale } = parseFieldType(config);
+  switch (type) {
+    case 'timestamp':
+      return 'TIMESTAMP';
+    case 'timestamptz':
+      return 'TIMESTAMPTZ';
+    case 'date':
+      return 'DATE';
+    case 'time':
+      return 'TIME';
+    case 'number':
+    case 'numeric':
+      if (precision !== undefined) {
+        return scale !== undefined ? `NUMERIC(${precision},${scale})` : `NUMERIC(${precision})`;
+      }
+      return 'NUMERIC';
+    case 'integer':
+      return 'INTEGER';
+    case 'bigint':
+      return 'BIGINT';
+    case 'boolean':
+      return 'BOOLEAN';
+    case 'json':
+      return 'JSON';
+    case 'jsonb':
+      return 'JSONB';
+    case 'uuid':
+      return 'UUID';
+    default:
+      return 'TEXT';
+  }
+}
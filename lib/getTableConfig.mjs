@@ -1,7 +1,12 @@
 import XLSX from 'xlsx';
 import fs from 'fs';
+import { resolveLayout, joinHeaderRows } from './layout.mjs';
 
 export function getTableConfigOverrides(tableConfigFile) {
+    // Already-loaded overrides can be passed straight through
+    if (tableConfigFile && typeof tableConfigFile === 'object') {
+        return tableConfigFile;
+    }
     if (tableConfigFile && fs.existsSync(tableConfigFile)) {
         const tableConfig = JSON.parse(fs.readFileSync(tableConfigFile, 'utf-8'));
         return tableConfig
@@ -9,15 +14,33 @@ export function getTableConfigOverrides(tableConfigFile) {
     return {}
 }
 
-export function getTableConfigForAWorkSheet(worksheet, tableConfigFile) {
-    const tableConfigOverrides = getTableConfigOverrides(tableConfigFile);
+// Worksheets read with dense: true keep their cells as an array of rows
+export function getCell(worksheet, row, col) {
+    if (Array.isArray(worksheet)) {
+        return worksheet[row]?.[col];
+    }
+    return worksheet[XLSX.utils.encode_cell({ r: row, c: col })];
+}
+
+export function getTableConfigForAWorkSheet(worksheet, tableConfigFile, layout = resolveLayout()) {
     const range = XLSX.utils.decode_range(worksheet['!ref'] || 'A1');
+    const columnCount = range.e.c + 1;
+
+    // First get all headers, joining multi-row headers into one name
+    const headerRowValues = Array.from({ length: layout.headerRows }, (_, level) =>
+        Array.from({ length: columnCount }, (_, idx) => getCell(worksheet, layout.headerRow - 1 + level, idx)?.v)
+    );
+    const headers = joinHeaderRows(headerRowValues, columnCount);
+
+    return getTableConfigForHeaders(headers, tableConfigFile);
+}
+
+export function getTableConfigForHeaders(headers, tableConfigFile) {
+    const tableConfigOverrides = getTableConfigOverrides(tableConfigFile);
 
-    // First get all headers and create base configs
-    const tableConfig = Array(range.e.c + 1).fill(1).map((_, idx) => {
-        const cellAddress = XLSX.utils.encode_cell({ r: 0, c: idx }); // headers
-        const cell = worksheet[cellAddress];
-        const colVal = cell?.v || `Column${idx + 1}`;
+    // Create base configs from the headers
+    const tableConfig = headers.map((header, idx) => {
+        const colVal = header || `Column${idx + 1}`;
         const colOverrides = tableConfigOverrides?.[colVal] ?? {};
         
         return {
@@ -0,0 +1,210 @@
+import path from 'path';
+import XLSX from 'xlsx';
+import moment from 'moment-timezone';
+import { getTableConfigForAWorkSheet, getCell } from './getTableConfig.mjs';
+import { readWorkbookFile, readSheetNames, loadWorksheet } from './xlsx.mjs';
+import { readCSV } from './csv.mjs';
+import { selectSheets } from './sheets.mjs';
+import { resolveLayout, isFooterRow } from './layout.mjs';
+import { sanitizeColumnName, isBlank } from './transform.mjs';
+import { getRawCellValue } from './cells.mjs';
+
+const BOOLEAN_VALUES = ['true', 'false', 'yes', 'no', 'y', 'n'];
+// Plain numbers only; a leading zero ("00123") usually marks a code that must stay text
+const NUMBER_PATTERN = /^[+-]?(?:0|[1-9]\d*)(?:\.\d+)?(?:e[+-]?\d+)?$|^[+-]?\.\d+$/i;
+// Tried in order against text values; the first format matching every value wins
+const DATE_FORMATS = ['YYYY-MM-DD', 'DD/MM/YYYY', 'MM/DD/YYYY', 'DD-MM-YYYY', 'DD.MM.YYYY'];
+const TIMESTAMP_FORMATS = [
+  'YYYY-MM-DD HH:mm:ss',
+  'YYYY-MM-DD HH:mm',
+  'ISO',
+  'DD/MM/YYYY HH:mm:ss',
+  'DD/MM/YYYY HH:mm',
+  'MM/DD/YYYY HH:mm:ss',
+  'MM/DD/YYYY HH:mm',
+  'DD-MM-YYYY HH:mm'
+];
+const KEY_CANDIDATE_TYPES = ['number', 'string'];
+
+function isBooleanValue(value) {
+  return typeof value === 'boolean' || (typeof value === 'string' && BOOLEAN_VALUES.includes(value.trim().toLowerCase()));
+}
+
+function isNumberValue(value) {
+  return typeof value === 'number' || (typeof value === 'string' && NUMBER_PATTERN.test(value.trim()));
+}
+
+function findFormat(texts, formats) {
+  return formats.find(format => texts.every(text =>
+    moment(text.trim(), format === 'ISO' ? moment.ISO_8601 : format, true).isValid()
+  ));
+}
+
+// Date cells are dates when every one of them falls on midnight (their UTC
+// fields hold the sheet's wall clock). Text values
+// need a format that parses all of them, which is written to the config.
+function inferDateType(values) {
+  const dates = values.filter(value => value instanceof Date);
+  const texts = values.filter(value => !(value instanceof Date));
+  if (texts.some(text => typeof text !== 'string')) {
+    return null;
+  }
+  const isMidnight = dates.every(date => date.getUTCHours() === 0 && date.getUTCMinutes() === 0 && date.getUTCSeconds() === 0);
+  if (texts.length === 0) {
+    return { fieldType: isMidnight ? 'date' : 'timestamp' };
+  }
+
+  const dateFormat = isMidnight && findFormat(texts, DATE_FORMATS);
+  if (dateFormat) {
+    return { fieldType: 'date', formats: [dateFormat] };
+  }
+  const timestampFormat = findFormat(texts, TIMESTAMP_FORMATS);
+  if (timestampFormat) {
+    return { fieldType: 'timestamp', formats: [timestampFormat] };
+  }
+  return null;
+}
+
+function inferFieldType(values) {
+  if (values.length === 0) {
+    return { fieldType: 'string' };
+  }
+  if (values.every(isBooleanValue)) {
+    return { fieldType: 'boolean' };
+  }
+  if (values.every(isNumberValue)) {
+    return { fieldType: 'number' };
+  }
+  return inferDateType(values) || { fieldType: 'string' };
+}
+
+// Infers the config of one column from its sampled cells ({ value, hyperlink }).
+// A column is a primary key candidate when every sampled row has a distinct value.
+export function inferColumnConfig(cells) {
+  const values = cells.map(cell => cell.value).filter(value => !isBlank(value));
+  const { fieldType, formats } = inferFieldType(values);
+  const notNull = cells.length > 0 && values.length === cells.length;
+  const distinct = new Set(values.map(value => value instanceof Date ? value.toISOString() : String(value).trim()));
+
+  return {
+    config: {
+      fieldType,
+      ...(formats && { formats }),
+      notNull,
+      isHyperlink: cells.some(cell => cell.hyperlink)
+    },
+    isKeyCandidate: notNull && cells.length > 1 && distinct.size === values.length && KEY_CANDIDATE_TYPES.includes(fieldType)
+  };
+}
+
+// Builds the config for one sheet, keyed by header like the hand-written ones
+function buildSheetConfig(headers, rows) {
+  const columns = {};
+  const keyCandidates = [];
+  const usedNames = new Set();
+
+  headers.forEach((header, idx) => {
+    // Duplicate headers share one config entry, like getTableConfigForHeaders
+    if (columns[header]) {
+      return;
+    }
+    const { config, isKeyCandidate } = inferColumnConfig(rows.map(row => row[idx]));
+    const baseName = sanitizeColumnName(header) || `column_${idx + 1}`;
+    let sqlColumn = baseName;
+    for (let suffix = 2; usedNames.has(sqlColumn); suffix++) {
+      sqlColumn = `${baseName}_${suffix}`;
+    }
+    usedNames.add(sqlColumn);
+
+    columns[header] = { sqlColumn, ...config };
+    if (isKeyCandidate) {
+      keyCandidates.push(header);
+    }
+  });
+
+  return { columns, keyCandidates };
+}
+
+function sampleWorksheet(worksheet, layout, sampleRows) {
+  const range = XLSX.utils.decode_range(worksheet['!ref'] || 'A1');
+  const headers = getTableConfigForAWorkSheet(worksheet, null, layout).map(c => c.header);
+  const lastDataRow = layout.dataEndRow ? Math.min(layout.dataEndRow - 1, range.e.r) : range.e.r;
+  const rows = [];
+
+  for (let row = layout.dataStartRow - 1; row <= lastDataRow && (!sampleRows || rows.length < sampleRows); row++) {
+    const cells = headers.map((_, col) => {
+      const cell = getCell(worksheet, row, col);
+      return { value: getRawCellValue(cell), hyperlink: Boolean(cell?.l?.Target) };
+    });
+    if (cells.every(cell => isBlank(cell.value))) {
+      if (layout.stopAtBlankRow) {
+        break;
+      }
+      continue;
+    }
+    if (!isFooterRow(cells.map(cell => cell.value), layout.footerPattern)) {
+      rows.push(cells);
+    }
+  }
+  return { headers, rows };
+}
+
+async function sampleCSV(filePath, options) {
+  const sheetData = await readCSV(filePath, null, 'UTC', { ...options.csvOptions, layout: options.layout });
+  const rows = [];
+  for await (const row of sheetData.rows()) {
+    rows.push(row.map(value => ({ value, hyperlink: false })));
+    if (options.sampleRows && rows.length >= options.sampleRows) {
+      break;
+    }
+  }
+  return { headers: sheetData.tableConfig.map(c => c.header), rows };
+}
+
+function logSheetConfig(sheetName, rowCount, { columns, keyCandidates }) {
+  console.log(`📋 [${new Date().toISOString()}] '${sheetName}': ${Object.keys(columns).length} columns inferred from ${rowCount} rows`);
+  Object.entries(columns).forEach(([header, config]) => {
+    const flags = [config.notNull && 'not null', config.isHyperlink && 'hyperlink'].filter(Boolean);
+    console.log(`   ${header} → ${config.sqlColumn} (${config.fieldType}${flags.length ? `, ${flags.join(', ')}` : ''})`);
+  });
+  console.log(`   Primary key candidates: ${keyCandidates.length ? keyCandidates.join(', ') : 'none'}`);
+}
+
+// Scans a sample of the file and returns a ready-to-edit table config. A single
+// sheet (or a CSV file) gives a flat config; several sheets are written to the
+// "$sheets" section, each with its own columns. Primary key candidates are
+// listed under "$primaryKeyCandidates" for the user to choose from.
+export async function inferTableConfig(filePath, options = {}) {
+  const { sampleRows = 1000 } = options;
+
+  if (path.extname(filePath).toLowerCase() === '.csv') {
+    const { headers, rows } = await sampleCSV(filePath, { ...options, sampleRows });
+    const { columns, keyCandidates } = buildSheetConfig(headers, rows);
+    logSheetConfig(path.basename(filePath), rows.length, { columns, keyCandidates });
+    return { ...columns, $primaryKeyCandidates: keyCandidates };
+  }
+
+  const data = readWorkbookFile(filePath);
+  const sheetNames = readSheetNames(data);
+  const selectedSheets = selectSheets(sheetNames, { names: options.sheetNames, indexes: options.sheetIndexes });
+  const layout = resolveLayout(options.layout);
+  const sheetConfigs = {};
+  // Only the header rows and the sampled rows are read; blank and footer rows
+  // among them leave the sample short, which is fine for guessing types
+  const readOptions = { sheetRows: sampleRows ? layout.dataStartRow - 1 + sampleRows : 0 };
+  selectedSheets.forEach(sheetName => {
+    const { headers, rows } = sampleWorksheet(loadWorksheet(data, sheetName, readOptions), layout, sampleRows);
+    sheetConfigs[sheetName] = buildSheetConfig(headers, rows);
+    logSheetConfig(sheetName, rows.length, sheetConfigs[sheetName]);
+  });
+
+  if (selectedSheets.length === 1) {
+    const { columns, keyCandidates } = sheetConfigs[selectedSheets[0]];
+    return { ...columns, $primaryKeyCandidates: keyCandidates };
+  }
+  const $sheets = {};
+  Object.entries(sheetConfigs).forEach(([sheetName, { columns, keyCandidates }]) => {
+    $sheets[sheetName] = { columns, $primaryKeyCandidates: keyCandidates };
+  });
+  return { $sheets };
+}
@@ -0,0 +1,103 @@
+import fs from 'fs';
+import path from 'path';
+import moment from 'moment';
+import { globToRegExp } from './sheets.mjs';
+
+export const SUPPORTED_EXTENSIONS = ['.csv', '.xlsx', '.xls'];
+
+function hasWildcard(pattern) {
+  return /[*?]/.test(pattern);
+}
+
+// Hidden files and the "~$Book.xlsx" lock files Excel leaves next to open workbooks
+function isImportable(filePath) {
+  const name = path.basename(filePath);
+  return !name.startsWith('.')
+    && !name.startsWith('~$')
+    && SUPPORTED_EXTENSIONS.includes(path.extname(name).toLowerCase())
+    && fs.statSync(filePath).isFile();
+}
+
+// Lists the files directly inside dir that can be imported, optionally only
+// those whose name matches pattern
+export function listInputFiles(dir, pattern) {
+  return fs.readdirSync(dir)
+    .filter(name => !pattern || pattern.test(name))
+    .map(name => path.join(dir, name))
+    .filter(isImportable)
+    .sort();
+}
+
+function checkInputFile(filePath) {
+  if (!fs.existsSync(filePath)) {
+    throw new Error(`Input file not found: ${filePath}`);
+  }
+  const ext = path.extname(filePath).toLowerCase();
+  if (!SUPPORTED_EXTENSIONS.includes(ext)) {
+    throw new Error(`Unsupported file type: ${ext}. Only .csv, .xlsx, and .xls files are supported`);
+  }
+}
+
+// Resolves the --input-file paths, glob patterns like "branches/*.xlsx" (with
+// wildcards in the file name only) and the files directly inside --input-dir
+// into the list of files to import, in order. A file named twice is imported once.
+export function resolveInputFiles(inputFiles = [], inputDir) {
+  const files = [];
+
+  inputFiles.forEach(pattern => {
+    if (!hasWildcard(pattern)) {
+      checkInputFile(pattern);
+      files.push(pattern);
+      return;
+    }
+    const dir = path.dirname(pattern);
+    if (hasWildcard(dir)) {
+      throw new Error(`Wildcards are only supported in the file name: ${pattern}`);
+    }
+    const matches = fs.existsSync(dir) ? listInputFiles(dir, globToRegExp(path.basename(pattern))) : [];
+    if (matches.length === 0) {
+      throw new Error(`No .csv, .xlsx or .xls files match ${pattern}`);
+    }
+    files.push(...matches);
+  });
+
+  if (inputDir) {
+    if (!fs.existsSync(inputDir) || !fs.statSync(inputDir).isDirectory()) {
+      throw new Error(`Input directory not found: ${inputDir}`);
+    }
+    const matches = listInputFiles(inputDir);
+    if (matches.length === 0) {
+      throw new Error(`No .csv, .xlsx or .xls files in ${inputDir}`);
+    }
+    files.push(...matches);
+  }
+
+  if (files.length === 0) {
+    throw new Error('No input files given, use --input-file or --input-dir');
+  }
+  const seen = new Set();
+  return files.filter(file => {
+    const resolved = path.resolve(file);
+    if (seen.has(resolved)) {
+      return false;
+    }
+    seen.add(resolved);
+    return true;
+  });
+}
+
+// Moves an input file into a folder, e.g. "done" or "failed" next to it or an
+// absolute path. An earlier file of the same name is kept by adding a
+// timestamp to the new one.
+export function moveInputFile(filePath, folderName) {
+  const folder = path.resolve(path.dirname(filePath), folderName);
+  fs.mkdirSync(folder, { recursive: true });
+
+  const ext = path.extname(filePath);
+  let destination = path.join(folder, path.basename(filePath));
+  if (fs.existsSync(destination)) {
+    destination = path.join(folder, `${path.basename(filePath, ext)}_${moment().format('YYYYMMDDHHmmss')}${ext}`);
+  }
+  fs.renameSync(filePath, destination);
+  return destination;
+}
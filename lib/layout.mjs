@@ -0,0 +1,78 @@
+import { isBlank } from './transform.mjs';
+
+// Separator used to join multi-row headers into one column name, e.g. "Q1 > Revenue"
+export const HEADER_SEPARATOR = ' > ';
+
+const LAYOUT_KEYS = ['headerRow', 'headerRows', 'dataStartRow', 'dataEndRow', 'stopAtBlankRow', 'footerPattern'];
+
+// Resolves where the headers and data sit in a sheet. Row numbers are 1-based
+// as shown in Excel. Values from the sheet's "$sheets" entry in the table config
+// override the command line options.
+export function resolveLayout(options = {}, sheetConfig = {}) {
+  const merged = {};
+  LAYOUT_KEYS.forEach(key => {
+    merged[key] = sheetConfig[key] ?? options[key];
+  });
+
+  const headerRow = merged.headerRow ?? 1;
+  const headerRows = merged.headerRows ?? 1;
+  const dataStartRow = merged.dataStartRow ?? headerRow + headerRows;
+  if (headerRow < 1 || headerRows < 0 || dataStartRow < headerRow + headerRows) {
+    throw new Error(`Invalid sheet layout: header row ${headerRow} (${headerRows} rows), data starts at row ${dataStartRow}`);
+  }
+
+  let footerPattern = null;
+  if (merged.footerPattern) {
+    try {
+      footerPattern = new RegExp(merged.footerPattern, 'i');
+    } catch (error) {
+      throw new Error(`Invalid footer pattern '${merged.footerPattern}': ${error.message}`);
+    }
+  }
+
+  return {
+    headerRow,
+    headerRows,
+    dataStartRow,
+    dataEndRow: merged.dataEndRow ?? null,
+    stopAtBlankRow: Boolean(merged.stopAtBlankRow),
+    footerPattern
+  };
+}
+
+// Joins header rows (an array of rows, each an array of cell values) into one
+// name per column. A blank cell in an upper header row belongs to the group
+// header to its left, as long as the row below it still has a header.
+export function joinHeaderRows(headerRowValues, columnCount) {
+  const filled = headerRowValues.map(values => [...values]);
+  filled.forEach((values, level) => {
+    if (level === filled.length - 1) {
+      return;
+    }
+    for (let col = 1; col < columnCount; col++) {
+      if (isBlank(values[col]) && !isBlank(filled[level + 1][col])) {
+        values[col] = values[col - 1];
+      }
+    }
+  });
+
+  return Array.from({ length: columnCount }, (_, col) => {
+    const parts = filled
+      .map(values => values[col])
+      .filter(value => value !== undefined && value !== null && value !== '');
+    // A single header cell is used as is, so existing column configs keep matching
+    if (parts.length <= 1) {
+      return parts[0];
+    }
+    return parts.map(part => String(part).trim()).join(HEADER_SEPARATOR);
+  });
+}
+
+// A footer row (e.g. "Total") is recognised by its first non-empty cell
+export function isFooterRow(values, footerPattern) {
+  if (!footerPattern) {
+    return false;
+  }
+  const first = values.find(value => value !== undefined && value !== null && value !== '');
+  return first !== undefined && footerPattern.test(String(first));
+}
@@ -1,5 +1,8 @@
 import axios from 'axios';
 
+// Files listed in the summary of a batch import before the rest are counted
+const MAX_FILES = 30;
+
 function formatSummary(data) {
   const {
     inputFile,
@@ -9,7 +12,17 @@ function formatSummary(data) {
     emptyRows,
     skippedRows,
     duration,
-    sheetName
+    sheetName,
+    rejectSummary = [],
+    loadMethod,
+    rowsPerSecond,
+    mode,
+    inserted,
+    updated,
+    deleted,
+    schemaChanges = [],
+    backupTable,
+    files = []
   } = data;
 
   return [
@@ -20,7 +33,20 @@ function formatSummary(data) {
     `• Successfully Imported: ${validRows}`,
     `• Empty Rows Skipped: ${emptyRows}`,
     `• Invalid Rows Skipped: ${skippedRows}`,
-    `• Processing Time: ${duration}s`
+    ...rejectSummary.slice(0, 5).map(({ key, count, rows }) => `    ◦ ${key} (${count}, e.g. rows ${rows.join(', ')})`),
+    ...(mode ? [
+      `• Mode: ${mode}`,
+      `• Inserted / Updated / Deleted: ${inserted ?? 0} / ${updated ?? 0} / ${deleted ?? 0}`
+    ] : []),
+    ...(schemaChanges.length > 0 ? [`• Schema Changes: ${schemaChanges.join(', ')}`] : []),
+    ...(backupTable ? [`• Previous Version: \`${backupTable}\``] : []),
+    ...(files.length > 0 ? [
+      '• Files:',
+      ...files.slice(0, MAX_FILES).map(file => `    ◦ \`${file.fileName}\`${file.sheetName ? ` (${file.sheetName})` : ''}: ${file.validRows} imported, ${file.skippedRows} rejected`),
+      ...(files.length > MAX_FILES ? [`    ◦ … and ${files.length - MAX_FILES} more`] : [])
+    ] : []),
+    `• Processing Time: ${duration}s`,
+    ...(rowsPerSecond !== undefined ? [`• Throughput: ${rowsPerSecond} rows/s${loadMethod ? ` (${loadMethod})` : ''}`] : [])
   ].join('\n');
 }
 
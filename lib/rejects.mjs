@@ -0,0 +1,29 @@
+import fs from 'fs';
+import path from 'path';
+import XLSX from 'xlsx';
+import { stringify } from 'csv/sync';
+
+const REJECT_COLUMNS = ['file', 'sheet', 'row', 'column', 'value', 'reason'];
+
+function formatRejectValue(value) {
+  if (value === null || value === undefined) return '';
+  if (value instanceof Date) return value.toISOString();
+  return value;
+}
+
+// Writes rejected rows to a CSV or XLSX file (picked by extension), one line per failed column
+export function writeRejectsFile(filePath, rejects) {
+  const records = rejects.map(reject => REJECT_COLUMNS.map(col => formatRejectValue(reject[col])));
+  const ext = path.extname(filePath).toLowerCase();
+
+  if (ext === '.xlsx' || ext === '.xls') {
+    const worksheet = XLSX.utils.aoa_to_sheet([REJECT_COLUMNS, ...records]);
+    const workbook = XLSX.utils.book_new();
+    XLSX.utils.book_append_sheet(workbook, worksheet, 'Rejects');
+    XLSX.writeFile(workbook, filePath);
+  } else {
+    fs.writeFileSync(filePath, stringify([REJECT_COLUMNS, ...records]));
+  }
+
+  console.log(`📝 [${new Date().toISOString()}] Wrote ${rejects.length} rejected values to ${filePath}`);
+}
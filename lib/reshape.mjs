@@ -0,0 +1,154 @@
+import { getTableConfigOverrides } from './getTableConfig.mjs';
+import { transformValue, isBlank } from './transform.mjs';
+
+// Finds the sheet columns to melt: those named in "columns" (by header or SQL
+// column name) or whose SQL column name matches "pattern". A named group "key"
+// in the pattern gives the key, otherwise the column header is the key; a named
+// group "value" names the value column the cell goes into, for grouped melts.
+function findMeltedColumns(spec, sheetColumns) {
+  if (spec.columns !== undefined) {
+    if (!Array.isArray(spec.columns) || spec.columns.length === 0) {
+      throw new Error('"$reshape" columns must be a list of column names');
+    }
+    const missing = spec.columns.filter(name => !sheetColumns.some(c => c.header === name || c.sqlColumn === name));
+    if (missing.length > 0) {
+      throw new Error(`"$reshape" columns not found in the sheet: ${missing.join(', ')}`);
+    }
+    return sheetColumns
+      .map((config, index) => ({ config, index }))
+      .filter(({ config }) => spec.columns.includes(config.header) || spec.columns.includes(config.sqlColumn))
+      .map(({ config, index }) => ({ index, key: config.header, group: null }));
+  }
+
+  let pattern;
+  try {
+    pattern = new RegExp(spec.pattern);
+  } catch (error) {
+    throw new Error(`Invalid "$reshape" pattern: ${error.message}`);
+  }
+  const melted = sheetColumns
+    .map((config, index) => ({ index, match: pattern.exec(config.sqlColumn), header: config.header }))
+    .filter(({ match }) => match)
+    .map(({ index, match, header }) => ({ index, key: match.groups?.key ?? header, group: match.groups?.value ?? null }));
+  if (melted.length === 0) {
+    throw new Error(`"$reshape" pattern ${spec.pattern} matches none of the columns: ${sheetColumns.map(c => c.sqlColumn).join(', ')}`);
+  }
+  if (melted.some(column => column.group === null) && melted.some(column => column.group !== null)) {
+    throw new Error(`"$reshape" pattern ${spec.pattern} must capture the value group in every column it matches`);
+  }
+  return melted;
+}
+
+function getValueColumnName(spec, group) {
+  if (group === null) {
+    return spec.valueColumn || 'value';
+  }
+  return spec.valueColumns?.[group] ?? group;
+}
+
+function getValueType(spec, group) {
+  return spec.valueType !== null && typeof spec.valueType === 'object' ? spec.valueType[group] : spec.valueType;
+}
+
+// Reads the "$reshape" section of the table config, which melts wide sheets
+// (one column per month or product) into one row per identifier and key.
+// tableConfig is the sheet's column config, which the wide rows are still read
+// and validated with; the melted columns get their valueType in it. Returns
+// null without the section, otherwise the table config of the reshaped rows
+// and reshapeRow, which turns one wide row (sheet values followed by any extra
+// column values) into its long rows.
+export function createReshaper(tableConfigFile, tableConfig, timezone) {
+  const overrides = getTableConfigOverrides(tableConfigFile);
+  const spec = overrides.$reshape;
+  if (!spec) {
+    return null;
+  }
+  if ((spec.columns === undefined) === (spec.pattern === undefined)) {
+    throw new Error('"$reshape" needs either columns or pattern');
+  }
+
+  // Melted columns take valueType unless the config gives their own fieldType
+  const sheetColumns = tableConfig.filter(c => !c.skip);
+  const melted = findMeltedColumns(spec, sheetColumns);
+  const meltedIndexes = melted.map(column => column.index);
+  melted.forEach(column => {
+    const config = sheetColumns[column.index];
+    const valueType = getValueType(spec, column.group);
+    if (valueType && !overrides[config.header]?.fieldType) {
+      config.fieldType = valueType;
+    }
+  });
+
+  const keyColumn = spec.keyColumn || 'key';
+  const keyConfig = {
+    header: keyColumn,
+    sqlColumn: keyColumn,
+    fieldType: spec.keyType || 'string',
+    primary: false,
+    notNull: true,
+    skip: false,
+    needIndex: false,
+    isHyperlink: false,
+    ...(spec.keyFormats && { formats: spec.keyFormats })
+  };
+
+  // One output row per key, with one value per value column
+  const valueNames = [...new Set(melted.map(column => getValueColumnName(spec, column.group)))];
+  const keys = new Map();
+  melted.forEach(column => {
+    if (!keys.has(column.key)) {
+      let keyValue;
+      try {
+        keyValue = transformValue(column.key, keyConfig, timezone);
+      } catch (error) {
+        throw new Error(`Cannot read '${column.key}' as the "$reshape" ${keyColumn} column: ${error.message}`);
+      }
+      keys.set(column.key, { keyValue, indexes: valueNames.map(() => undefined) });
+    }
+    const slot = valueNames.indexOf(getValueColumnName(spec, column.group));
+    const entry = keys.get(column.key);
+    if (entry.indexes[slot] !== undefined) {
+      throw new Error(`"$reshape" maps two columns to ${valueNames[slot]} for key '${column.key}'`);
+    }
+    entry.indexes[slot] = column.index;
+  });
+
+  // Identifiers repeat once per key, so they cannot stay primary keys
+  const identifiers = sheetColumns
+    .map((config, index) => ({ config, index }))
+    .filter(({ index }) => !meltedIndexes.includes(index));
+  const valueConfigs = valueNames.map(name => {
+    const source = sheetColumns[melted.find(column => getValueColumnName(spec, column.group) === name).index];
+    const { validate, ...config } = source;
+    return { ...config, header: name, sqlColumn: name, primary: false, notNull: false };
+  });
+  const outputConfigs = [
+    ...identifiers.map(({ config }) => ({ ...config, primary: false })),
+    keyConfig,
+    ...valueConfigs
+  ];
+
+  const names = outputConfigs.map(c => c.sqlColumn);
+  const clash = names.find((name, idx) => names.indexOf(name) !== idx);
+  if (clash) {
+    throw new Error(`"$reshape" column '${clash}' clashes with another column`);
+  }
+
+  const skipEmpty = spec.skipEmpty !== false;
+  return {
+    tableConfig: outputConfigs,
+    reshapeRow(row) {
+      const ids = identifiers.map(({ index }) => row[index]);
+      const extra = row.slice(sheetColumns.length);
+      const rows = [];
+      keys.forEach(({ keyValue, indexes }) => {
+        const values = indexes.map(index => (index === undefined ? null : row[index]));
+        if (skipEmpty && values.every(isBlank)) {
+          return;
+        }
+        rows.push([...ids, keyValue, ...values, ...extra]);
+      });
+      return rows;
+    }
+  };
+}
@@ -0,0 +1,26 @@
+// Groups the rows of a sheet into arrays of up to batchSize rows, so only the
+// batch being loaded is held in memory
+export async function* batchRows(rows, batchSize) {
+  let batch = [];
+  for await (const row of rows) {
+    batch.push(row);
+    if (batch.length >= batchSize) {
+      yield batch;
+      batch = [];
+    }
+  }
+  if (batch.length > 0) {
+    yield batch;
+  }
+}
+
+// Reads every row of a streamed sheet into transformedData. Meant for small
+// files and tests; the importer loads the rows batch by batch instead.
+export async function collectRows(sheetData) {
+  const transformedData = [];
+  for await (const row of sheetData.rows()) {
+    transformedData.push(row);
+  }
+  const { rows, progress, ...result } = sheetData;
+  return { ...result, transformedData };
+}
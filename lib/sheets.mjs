@@ -0,0 +1,62 @@
+import { getTableConfigOverrides } from './getTableConfig.mjs';
+
+// Converts a sheet name pattern with * and ? wildcards into an anchored RegExp
+export function globToRegExp(pattern) {
+  const source = pattern
+    .split('')
+    .map(char => {
+      if (char === '*') return '.*';
+      if (char === '?') return '.';
+      return char.replace(/[.+^${}()|[\]\\]/g, '\\$&');
+    })
+    .join('');
+  return new RegExp(`^${source}$`);
+}
+
+function matchesSheet(pattern, sheetName) {
+  return pattern === sheetName || globToRegExp(pattern).test(sheetName);
+}
+
+// Picks the sheets to import from --sheet-name patterns and 1-based
+// --sheet-index values. Without either, every sheet is imported.
+export function selectSheets(sheetNames, { names = [], indexes = [] } = {}) {
+  if (names.length === 0 && indexes.length === 0) {
+    return sheetNames;
+  }
+
+  indexes.forEach(index => {
+    if (!Number.isInteger(index) || index < 1 || index > sheetNames.length) {
+      throw new Error(`Sheet index ${index} is out of range, the workbook has ${sheetNames.length} sheets`);
+    }
+  });
+  names.forEach(pattern => {
+    if (!sheetNames.some(sheetName => matchesSheet(pattern, sheetName))) {
+      throw new Error(`No sheet matches '${pattern}'. Available sheets: ${sheetNames.join(', ')}`);
+    }
+  });
+
+  return sheetNames.filter((sheetName, idx) =>
+    indexes.includes(idx + 1) || names.some(pattern => matchesSheet(pattern, sheetName))
+  );
+}
+
+// Looks up the "$sheets" section of the table config for the sheet. Keys are
+// sheet names or glob patterns and the first match wins. Returns the target
+// table (if any) and the column overrides for the sheet: the top-level column
+// overrides, replaced per header by the sheet's own "columns" or "tableConfig" file.
+export function getSheetMapping(tableConfigFile, sheetName) {
+  const tableConfigOverrides = getTableConfigOverrides(tableConfigFile);
+  const sheetConfigs = tableConfigOverrides.$sheets || {};
+  const pattern = Object.keys(sheetConfigs).find(key => matchesSheet(key, sheetName));
+  const sheetConfig = pattern ? sheetConfigs[pattern] : {};
+
+  return {
+    table: sheetConfig.table,
+    sheetConfig,
+    columnOverrides: {
+      ...tableConfigOverrides,
+      ...getTableConfigOverrides(sheetConfig.tableConfig),
+      ...sheetConfig.columns
+    }
+  };
+}
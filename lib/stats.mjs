@@ -0,0 +1,68 @@
+// Distinct values are counted up to this limit to keep memory bounded
+const MAX_DISTINCT = 10000;
+const SAMPLE_VALUES = 3;
+const MAX_SAMPLE_LENGTH = 40;
+
+function formatStatValue(value) {
+  const text = value instanceof Date ? value.toISOString() : String(value);
+  return text.length > MAX_SAMPLE_LENGTH ? `${text.slice(0, MAX_SAMPLE_LENGTH - 1)}…` : text;
+}
+
+function compareValues(a, b) {
+  if (typeof a === 'number' && typeof b === 'number') {
+    return a - b;
+  }
+  return formatStatValue(a).localeCompare(formatStatValue(b));
+}
+
+// Per-column statistics collected while a sheet is streamed: null count,
+// min/max, distinct count and a few sample values
+export function createColumnStats(columns) {
+  return {
+    rows: 0,
+    columns: columns.map(name => ({
+      name,
+      nulls: 0,
+      min: undefined,
+      max: undefined,
+      distinct: new Set(),
+      samples: []
+    }))
+  };
+}
+
+export function addRowToStats(stats, row) {
+  stats.rows++;
+  stats.columns.forEach((column, idx) => {
+    const value = row[idx];
+    if (value === null || value === undefined) {
+      column.nulls++;
+      return;
+    }
+    if (column.min === undefined || compareValues(value, column.min) < 0) {
+      column.min = value;
+    }
+    if (column.max === undefined || compareValues(value, column.max) > 0) {
+      column.max = value;
+    }
+    const key = formatStatValue(value);
+    if (column.distinct.size < MAX_DISTINCT) {
+      column.distinct.add(key);
+    }
+    if (column.samples.length < SAMPLE_VALUES && !column.samples.includes(key)) {
+      column.samples.push(key);
+    }
+  });
+}
+
+export function formatColumnStats(stats) {
+  return stats.columns.map(column => {
+    const nullShare = stats.rows ? ` (${(column.nulls / stats.rows * 100).toFixed(1)}%)` : '';
+    const distinct = column.distinct.size >= MAX_DISTINCT ? `${MAX_DISTINCT}+` : column.distinct.size;
+    const range = column.min === undefined
+      ? ''
+      : `, min ${formatStatValue(column.min)}, max ${formatStatValue(column.max)}`;
+    const samples = column.samples.length ? `, e.g. ${column.samples.join(' | ')}` : '';
+    return `${column.name}: ${column.nulls} nulls${nullShare}, ${distinct} distinct${range}${samples}`;
+  });
+}
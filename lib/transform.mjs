@@ -0,0 +1,296 @@
+import XLSX from 'xlsx';
+import moment from 'moment-timezone';
+import { parseFieldType } from './fieldTypes.mjs';
+
+const TRUE_VALUES = ['true', 't', 'yes', 'y', '1'];
+const FALSE_VALUES = ['false', 'f', 'no', 'n', '0'];
+const TIME_FORMATS = ['HH:mm:ss', 'HH:mm', 'h:mm:ss A', 'h:mm A'];
+const UUID_PATTERN = /^[0-9a-f]{8}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{12}$/i;
+const INTEGER_PATTERN = /^[+-]?\d+$/;
+
+export function sanitizeColumnName(name) {
+  return String(name)
+    .toLowerCase()
+    .replace(/[^a-z0-9]+/g, '_')
+    .replace(/^_+|_+$/g, '')
+    .replace(/_+/g, '_');
+}
+
+// Empty cells come through as undefined, null or '' depending on the reader
+export function isBlank(value) {
+  return value === undefined || value === null || value === '';
+}
+
+export function formatElapsed(startTime) {
+  const elapsed = Date.now() - startTime;
+  if (elapsed < 1000) return `${elapsed}ms`;
+  return `${(elapsed / 1000).toFixed(2)}s`;
+}
+
+export function escapeRegExp(text) {
+  return text.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+}
+
+function pad(value, length = 2) {
+  return String(value).padStart(length, '0');
+}
+
+// Turns an Excel serial number into a Date whose UTC fields hold the wall-clock
+// date and time shown in the sheet, independent of the process timezone.
+// Returns null for serials that are not dates.
+export function excelSerialToDate(serial) {
+  const d = XLSX.SSF.parse_date_code(serial);
+  if (!d) {
+    return null;
+  }
+  return new Date(Date.UTC(d.y, d.m - 1, d.d, d.H, d.M, d.S));
+}
+
+// Excel serial numbers and date cells (see excelSerialToDate) both carry the
+// wall-clock date and time shown in the sheet, so both are read in the column's
+// timezone exactly like a text value. Returns null for other values.
+function wallClockMoment(value, timezone) {
+  if (typeof value === 'number') {
+    const d = XLSX.SSF.parse_date_code(value);
+    if (!d) {
+      throw new Error(`Invalid Excel date: ${value}`);
+    }
+    return moment.tz(`${d.y}-${pad(d.m)}-${pad(d.d)} ${pad(d.H)}:${pad(d.M)}:${pad(d.S)}`, 'YYYY-MM-DD HH:mm:ss', timezone);
+  }
+  if (value instanceof Date) {
+    const wallClock = `${value.getUTCFullYear()}-${pad(value.getUTCMonth() + 1)}-${pad(value.getUTCDate())} ${pad(value.getUTCHours())}:${pad(value.getUTCMinutes())}:${pad(value.getUTCSeconds())}`;
+    return moment.tz(wallClock, 'YYYY-MM-DD HH:mm:ss', timezone);
+  }
+  return null;
+}
+
+function toMomentFormat(format) {
+  return ['ISO', 'ISO_8601'].includes(format) ? moment.ISO_8601 : format;
+}
+
+// Parses a text value with the column's formats, tried in order. Without
+// configured formats the column falls back to the type's default formats.
+function parseText(value, config, defaultFormats, timezone, strictDefault = true) {
+  const text = String(value).trim();
+  if (!config.formats) {
+    return moment.tz(text, defaultFormats, strictDefault, timezone);
+  }
+  const formats = Array.isArray(config.formats) ? config.formats : [config.formats];
+  for (const format of formats) {
+    const m = moment.tz(text, toMomentFormat(format), true, timezone);
+    if (m.isValid()) {
+      return m;
+    }
+  }
+  return moment.invalid();
+}
+
+function expectedFormats(config, defaultFormats) {
+  return [].concat(config.formats || defaultFormats).join(', ');
+}
+
+function parseTimestamp(value, config, timezone) {
+  // The default timestamp format is parsed leniently, so seconds or a missing time still load
+  const m = wallClockMoment(value, timezone) || parseText(value, config, ['YYYY-MM-DD HH:mm'], timezone, false);
+  if (!m.isValid()) {
+    throw new Error(`Invalid timestamp, expected ${expectedFormats(config, ['YYYY-MM-DD HH:mm'])}`);
+  }
+  return m.toISOString();
+}
+
+function parseDate(value, config, timezone) {
+  const m = wallClockMoment(value, timezone) || parseText(value, config, ['YYYY-MM-DD'], timezone);
+  if (!m.isValid()) {
+    throw new Error(`Invalid date, expected ${expectedFormats(config, ['YYYY-MM-DD'])}`);
+  }
+  return m.format('YYYY-MM-DD');
+}
+
+function parseTime(value, config, timezone) {
+  if (typeof value === 'number') {
+    // Only the fractional part of an Excel serial carries the time of day
+    const d = XLSX.SSF.parse_date_code(value % 1);
+    return `${pad(d.H)}:${pad(d.M)}:${pad(d.S)}`;
+  }
+  const m = wallClockMoment(value, timezone) || parseText(value, config, TIME_FORMATS, timezone);
+  if (!m.isValid()) {
+    throw new Error(`Invalid time, expected ${expectedFormats(config, TIME_FORMATS)}`);
+  }
+  return m.format('HH:mm:ss');
+}
+
+function getSeparators(numberFormat) {
+  const separators = { decimal: '.', group: null };
+  if (numberFormat.locale) {
+    new Intl.NumberFormat(numberFormat.locale).formatToParts(1234567.5).forEach(({ type, value }) => {
+      if (type === 'decimal' || type === 'group') {
+        separators[type] = value;
+      }
+    });
+  }
+  return {
+    decimal: numberFormat.decimalSeparator ?? separators.decimal,
+    group: numberFormat.groupSeparator ?? separators.group
+  };
+}
+
+// Turns a formatted number such as "1.234,56", "₹ 1,200", "12.5%" or "(350)"
+// into the plain JavaScript form, following the column's numberFormat options.
+// Returns the cleaned text, its sign and whether it was a percentage.
+function normalizeNumberText(text, numberFormat = {}) {
+  let cleaned = text.trim();
+  let sign = 1;
+  let percent = false;
+
+  if (numberFormat.currency) {
+    cleaned = cleaned
+      .replace(/\p{Sc}/gu, '')
+      .replace(/^(?:[A-Z]{3}|Rs\.?)\s*|\s*[A-Z]{3}$/, '')
+      .trim();
+  }
+  if (numberFormat.accountingNegative && /^\(.*\)$/.test(cleaned)) {
+    cleaned = cleaned.slice(1, -1).trim();
+    sign = -sign;
+  }
+  if (cleaned.endsWith('%')) {
+    if (!numberFormat.percent) {
+      throw new Error('Invalid number, percentages need numberFormat.percent');
+    }
+    cleaned = cleaned.slice(0, -1).trim();
+    percent = true;
+  }
+
+  const { decimal, group } = getSeparators(numberFormat);
+  if (group) {
+    // Whitespace group separators (fr-FR uses a narrow no-break space) match any space
+    const groupPattern = /^\s+$/.test(group) ? '\\s' : escapeRegExp(group);
+    cleaned = cleaned.replace(new RegExp(groupPattern, 'g'), '');
+  }
+  if (decimal !== '.') {
+    cleaned = cleaned.replace(decimal, '.');
+  }
+  return { cleaned, sign, percent };
+}
+
+// Dividing by 100 adds float noise (1.1 / 100 is 0.011000000000000001), so the
+// percentage is scaled in the text by lowering its exponent instead
+function scalePercent(text) {
+  const [, mantissa, exponent = '0'] = /^(.*?)(?:e([+-]?\d+))?$/i.exec(text);
+  return `${mantissa}e${Number(exponent) - 2}`;
+}
+
+function parseNumber(value, numberFormat) {
+  if (typeof value === 'number') {
+    return value;
+  }
+  const { cleaned, sign, percent } = normalizeNumberText(String(value), numberFormat);
+  const num = cleaned === '' ? NaN : Number(percent ? scalePercent(cleaned) : cleaned);
+  if (isNaN(num)) {
+    throw new Error('Invalid number');
+  }
+  return num * sign;
+}
+
+function parseNumeric(value, numberFormat, precision, scale = 0) {
+  const num = parseNumber(value, numberFormat);
+  // NUMERIC(p,s) leaves p - s digits for the integer part
+  if (precision !== undefined && Math.abs(Math.round(num * 10 ** scale)) >= 10 ** precision) {
+    throw new Error(`Number does not fit numeric(${precision},${scale})`);
+  }
+  return num;
+}
+
+function parseInteger(value, numberFormat, type) {
+  let text = String(value);
+  if (typeof value !== 'number') {
+    const { cleaned, sign, percent } = normalizeNumberText(text, numberFormat);
+    // A percentage is a fraction, which no integer column can hold
+    if (percent) {
+      throw new Error(`Invalid ${type}, percentages need a number or numeric column`);
+    }
+    text = sign < 0 ? `-${cleaned}` : cleaned;
+  }
+  text = text.trim().replace(/\.0+$/, '');
+  if (!INTEGER_PATTERN.test(text)) {
+    throw new Error(`Invalid ${type}`);
+  }
+  // BIGINT values are kept as strings so they survive beyond Number.MAX_SAFE_INTEGER
+  const big = BigInt(text);
+  const limit = type === 'integer' ? 2n ** 31n : 2n ** 63n;
+  if (big < -limit || big >= limit) {
+    throw new Error(`Value out of range for ${type}`);
+  }
+  return type === 'integer' ? Number(big) : big.toString();
+}
+
+function parseBoolean(value) {
+  if (typeof value === 'boolean') {
+    return value;
+  }
+  const text = String(value).trim().toLowerCase();
+  if (TRUE_VALUES.includes(text)) return true;
+  if (FALSE_VALUES.includes(text)) return false;
+  throw new Error('Invalid boolean, expected yes/no, y/n, true/false or 1/0');
+}
+
+function parseJson(value) {
+  if (typeof value !== 'string') {
+    return JSON.stringify(value);
+  }
+  try {
+    return JSON.stringify(JSON.parse(value));
+  } catch (error) {
+    throw new Error(`Invalid JSON: ${error.message}`);
+  }
+}
+
+function parseUuid(value) {
+  const text = String(value).trim();
+  if (!UUID_PATTERN.test(text)) {
+    throw new Error('Invalid uuid');
+  }
+  return text.toLowerCase();
+}
+
+// Converts a raw cell value to the column's field type. Empty values become null;
+// values that cannot be converted throw so the row can be rejected with the reason.
+export function transformValue(value, config, timezone) {
+  if (value === '' || value === '-' || value === undefined || value === null) return null;
+
+  const { type, precision, scale } = parseFieldType(config);
+  // A column can override the global --timezone
+  const columnTimezone = config.timezone || timezone;
+  switch (type) {
+    case 'timestamp':
+    case 'timestamptz':
+      return parseTimestamp(value, config, columnTimezone);
+
+    case 'date':
+      return parseDate(value, config, columnTimezone);
+
+    case 'time':
+      return parseTime(value, config, columnTimezone);
+
+    case 'number':
+    case 'numeric':
+      return parseNumeric(value, config.numberFormat, precision, scale);
+
+    case 'integer':
+    case 'bigint':
+      return parseInteger(value, config.numberFormat, type);
+
+    case 'boolean':
+      return parseBoolean(value);
+
+    case 'json':
+    case 'jsonb':
+      return parseJson(value);
+
+    case 'uuid':
+      return parseUuid(value);
+
+    case 'string':
+    default:
+      return String(value).replace(/\s+/g, ' ').trim();
+  }
+}
@@ -0,0 +1,121 @@
+// Number of example row numbers kept per column/reason in the summaries
+const SAMPLE_ROWS = 5;
+
+function compileRules(config) {
+  const rules = config.validate || {};
+  let regex = null;
+  if (rules.regex) {
+    try {
+      regex = new RegExp(rules.regex);
+    } catch (error) {
+      throw new Error(`Invalid regex in validate block for column '${config.header}': ${error.message}`);
+    }
+  }
+  return {
+    ...rules,
+    regex,
+    enum: rules.enum ? rules.enum.map(String) : null,
+    seen: rules.unique ? new Set() : null
+  };
+}
+
+function formatValue(value) {
+  return value instanceof Date ? value.toISOString() : String(value);
+}
+
+// Returns the reason the value breaks one of the column's validate rules, or null
+function checkRules(value, rules) {
+  const text = formatValue(value);
+  if (rules.regex && !rules.regex.test(text)) {
+    return `Does not match ${rules.regex.source}`;
+  }
+  if (rules.enum && !rules.enum.includes(text)) {
+    return `Not one of ${rules.enum.join(', ')}`;
+  }
+  // A value that is not a number would pass every min/max comparison
+  if ((rules.min !== undefined || rules.max !== undefined) && Number.isNaN(Number(value))) {
+    return 'Not a number';
+  }
+  if (rules.min !== undefined && Number(value) < rules.min) {
+    return `Below minimum ${rules.min}`;
+  }
+  if (rules.max !== undefined && Number(value) > rules.max) {
+    return `Above maximum ${rules.max}`;
+  }
+  if (rules.minLength !== undefined && text.length < rules.minLength) {
+    return `Shorter than ${rules.minLength} characters`;
+  }
+  if (rules.maxLength !== undefined && text.length > rules.maxLength) {
+    return `Longer than ${rules.maxLength} characters`;
+  }
+  return null;
+}
+
+// Creates the row-level validation for a sheet. The returned function applies
+// notNull and the column's validate block (regex, enum, min, max, minLength,
+// maxLength, unique) to a transformed row. conversionErrors are the type
+// coercion failures already found for the row; a column that failed conversion
+// is not reported a second time.
+export function createRowValidator(columnConfigs) {
+  const columnRules = columnConfigs.map(compileRules);
+
+  return (rowData, conversionErrors = []) => {
+    const errors = [...conversionErrors];
+
+    columnConfigs.forEach((config, idx) => {
+      if (errors.some(e => e.column === config.header)) {
+        return;
+      }
+      const value = rowData[idx];
+      if (value === null || value === undefined) {
+        if (config.notNull) {
+          errors.push({ column: config.header, value: null, reason: 'Value is required (notNull)' });
+        }
+        return;
+      }
+      const reason = checkRules(value, columnRules[idx]);
+      if (reason) {
+        errors.push({ column: config.header, value, reason });
+      }
+    });
+
+    // Uniqueness is only tracked for rows that will be loaded
+    columnConfigs.forEach((config, idx) => {
+      const { seen } = columnRules[idx];
+      const value = rowData[idx];
+      if (!seen || value === null || value === undefined || errors.length > 0) {
+        return;
+      }
+      if (seen.has(formatValue(value))) {
+        errors.push({ column: config.header, value, reason: 'Duplicate value (unique)' });
+      }
+    });
+
+    if (errors.length === 0) {
+      columnConfigs.forEach((config, idx) => {
+        const { seen } = columnRules[idx];
+        const value = rowData[idx];
+        if (seen && value !== null && value !== undefined) {
+          seen.add(formatValue(value));
+        }
+      });
+    }
+
+    return errors;
+  };
+}
+
+// Groups rejects by column and reason for the console and Slack summaries
+export function summarizeRejects(rejects) {
+  const groups = new Map();
+  rejects.forEach(({ column, reason, row }) => {
+    const key = `${column}: ${reason}`;
+    const group = groups.get(key) || { key, count: 0, rows: [] };
+    group.count++;
+    if (group.rows.length < SAMPLE_ROWS) {
+      group.rows.push(row);
+    }
+    groups.set(key, group);
+  });
+  return [...groups.values()].sort((a, b) => b.count - a.count);
+}
@@ -0,0 +1,236 @@
+import fs from 'fs';
+import path from 'path';
+import readline from 'readline';
+import { spawn } from 'child_process';
+import { globToRegExp } from './sheets.mjs';
+import { listInputFiles, moveInputFile } from './inputFiles.mjs';
+import { sendSlackNotification } from './notifications.mjs';
+
+// The watcher decides which file is imported and where it goes afterwards
+const RESERVED_ROUTE_OPTIONS = ['inputFile', 'inputDir', 'moveProcessed', 'onFileError'];
+const REQUIRED_ROUTE_OPTIONS = ['table', 'tableConfig', 'timezone'];
+
+// Reads the routing config: a list of file name patterns, each with the target
+// table, table config and any other import options, plus defaults shared by
+// every route. Relative table config paths are resolved from the routing file.
+export function loadRoutes(routesFile, defaults = {}) {
+  const routing = JSON.parse(fs.readFileSync(routesFile, 'utf-8'));
+  const baseDir = path.dirname(path.resolve(routesFile));
+  if (!Array.isArray(routing.routes) || routing.routes.length === 0) {
+    throw new Error(`${routesFile} has no routes`);
+  }
+
+  return routing.routes.map((route, idx) => {
+    const { pattern, ...options } = { ...defaults, ...routing.defaults, ...route };
+    if (!pattern) {
+      throw new Error(`Route ${idx + 1} in ${routesFile} has no pattern`);
+    }
+    const reserved = RESERVED_ROUTE_OPTIONS.filter(key => options[key] !== undefined);
+    if (reserved.length > 0) {
+      throw new Error(`Route '${pattern}' cannot set ${reserved.join(', ')}`);
+    }
+    const missing = REQUIRED_ROUTE_OPTIONS.filter(key => options[key] === undefined);
+    if (missing.length > 0) {
+      throw new Error(`Route '${pattern}' needs ${missing.join(', ')}`);
+    }
+    return {
+      pattern,
+      regExp: globToRegExp(pattern),
+      options: { ...options, tableConfig: path.resolve(baseDir, options.tableConfig) }
+    };
+  });
+}
+
+// The first route whose pattern matches the file name wins
+export function findRoute(routes, fileName) {
+  return routes.find(route => route.regExp.test(fileName)) || null;
+}
+
+// Turns route options like { loadMethod: 'copy', truncate: true, key: ['id'] }
+// into the matching command line arguments of an import
+export function getImportArgs(options) {
+  return Object.entries(options)
+    .filter(([, value]) => value !== undefined && value !== null)
+    .flatMap(([key, value]) => {
+      const flag = key.replace(/[A-Z]/g, char => `-${char.toLowerCase()}`);
+      if (value === true) return [`--${flag}`];
+      if (value === false) return [`--no-${flag}`];
+      if (Array.isArray(value)) return value.flatMap(item => [`--${flag}`, String(item)]);
+      return [`--${flag}`, String(value)];
+    });
+}
+
+// Remembers each file's size and modification time between polls. A file is
+// ready once neither has changed for stableMs, so files still being copied
+// into the folder are left alone.
+function createStabilityTracker(stableMs) {
+  const seen = new Map();
+  return {
+    isStable(filePath, stat, now) {
+      const previous = seen.get(filePath);
+      if (!previous || previous.size !== stat.size || previous.mtimeMs !== stat.mtimeMs) {
+        seen.set(filePath, { size: stat.size, mtimeMs: stat.mtimeMs, since: now });
+        return false;
+      }
+      return now - previous.since >= stableMs;
+    },
+    forget(filePath) {
+      seen.delete(filePath);
+    },
+    keepOnly(filePaths) {
+      [...seen.keys()].filter(filePath => !filePaths.includes(filePath)).forEach(filePath => seen.delete(filePath));
+    }
+  };
+}
+
+// Prints a child's output line by line, prefixed with the file it imports
+function prefixOutput(stream, prefix, write) {
+  readline.createInterface({ input: stream }).on('line', line => write(`[${prefix}] ${line}`));
+}
+
+// Watches dir for Excel and CSV files and imports each one with the route its
+// name matches, by running the import command in a child process. Imported
+// files are moved to archiveDir, failed and unrouted ones to quarantineDir.
+// Resolves after SIGTERM or SIGINT once the running imports have finished, or
+// with options.once when no files are left.
+export function watchFolder(dir, options) {
+  const {
+    routes,
+    cliPath,
+    pollInterval = 5,
+    stableSeconds = 10,
+    concurrency = 1,
+    archiveDir = 'done',
+    quarantineDir = 'failed',
+    slackNotifyUrl,
+    once = false
+  } = options;
+  const tracker = createStabilityTracker(stableSeconds * 1000);
+  const running = new Map();
+  // Files that could not be moved away are not imported again
+  const ignored = new Set();
+  let stopping = false;
+  let timer = null;
+
+  return new Promise((resolve) => {
+    const finish = () => {
+      process.off('SIGTERM', onSignal);
+      process.off('SIGINT', onSignal);
+      clearTimeout(timer);
+      console.log(`👋 [${new Date().toISOString()}] Stopped watching ${dir}`);
+      resolve();
+    };
+
+    const settle = (filePath, succeeded) => {
+      try {
+        const destination = moveInputFile(filePath, succeeded ? archiveDir : quarantineDir);
+        console.log(`📦 [${new Date().toISOString()}] Moved ${path.basename(filePath)} to ${path.dirname(destination)}`);
+      } catch (error) {
+        console.error(`❌ [${new Date().toISOString()}] Could not move ${path.basename(filePath)}: ${error.message}`);
+        ignored.add(filePath);
+      }
+    };
+
+    const startImport = (filePath) => {
+      const fileName = path.basename(filePath);
+      tracker.forget(filePath);
+      const route = findRoute(routes, fileName);
+      if (!route) {
+        const message = `No route matches ${fileName}, moving it to ${quarantineDir}`;
+        console.warn(`⚠️ [${new Date().toISOString()}] ${message}`);
+        settle(filePath, false);
+        sendSlackNotification(slackNotifyUrl, `⚠️ ${message}`);
+        return;
+      }
+
+      console.log(`\n📥 [${new Date().toISOString()}] Importing ${fileName} into ${route.options.table} (route '${route.pattern}')`);
+      // A separate process group keeps a Ctrl+C in the terminal from
+      // interrupting imports that are still running
+      const child = spawn(process.execPath, [cliPath, '--input-file', filePath, ...getImportArgs(route.options)], {
+        stdio: ['ignore', 'pipe', 'pipe'],
+        detached: true
+      });
+      running.set(filePath, child);
+      prefixOutput(child.stdout, fileName, line => console.log(line));
+      prefixOutput(child.stderr, fileName, line => console.error(line));
+
+      let done = false;
+      const onDone = (succeeded, reason) => {
+        if (done) return;
+        done = true;
+        running.delete(filePath);
+        console.log(`${succeeded ? '✅' : '❌'} [${new Date().toISOString()}] ${fileName} ${reason}`);
+        settle(filePath, succeeded);
+        if (stopping && running.size === 0) {
+          finish();
+        } else if (!stopping) {
+          // Pick up the next waiting file without waiting for the next poll
+          clearTimeout(timer);
+          timer = setTimeout(poll, 0);
+        }
+      };
+      child.on('error', error => onDone(false, `could not be imported: ${error.message}`));
+      child.on('close', (code, signal) => onDone(code === 0, code === 0 ? 'imported' : `failed (${signal || `exit code ${code}`})`));
+    };
+
+    const poll = () => {
+      timer = null;
+      if (stopping) {
+        return;
+      }
+      const now = Date.now();
+      let files = [];
+      try {
+        files = listInputFiles(dir).filter(filePath => !ignored.has(filePath));
+      } catch (error) {
+        // A file removed while the folder is listed is picked up or forgotten next time
+        console.warn(`⚠️ [${new Date().toISOString()}] Could not list ${dir}: ${error.message}`);
+      }
+      tracker.keepOnly(files);
+
+      for (const filePath of files) {
+        if (running.has(filePath)) {
+          continue;
+        }
+        let stat;
+        try {
+          stat = fs.statSync(filePath);
+        } catch {
+          continue;
+        }
+        if (tracker.isStable(filePath, stat, now) && running.size < concurrency) {
+          startImport(filePath);
+        }
+      }
+
+      if (once && running.size === 0 && files.length === 0) {
+        stopping = true;
+        finish();
+        return;
+      }
+      timer = setTimeout(poll, pollInterval * 1000);
+    };
+
+    const onSignal = (signal) => {
+      if (stopping) {
+        // A second signal stops the imports as well; their staging tables are
+        // dropped or replaced by the next import into the same table
+        console.warn(`🛑 [${new Date().toISOString()}] ${signal} received again, stopping ${running.size} running imports`);
+        running.forEach(child => child.kill('SIGTERM'));
+        return;
+      }
+      stopping = true;
+      clearTimeout(timer);
+      timer = null;
+      console.log(`\n🛑 [${new Date().toISOString()}] ${signal} received, waiting for ${running.size} running imports to finish`);
+      if (running.size === 0) {
+        finish();
+      }
+    };
+    process.on('SIGTERM', onSignal);
+    process.on('SIGINT', onSignal);
+
+    console.log(`👀 [${new Date().toISOString()}] Watching ${dir} (${routes.length} routes, up to ${concurrency} imports at a time)`);
+    poll();
+  });
+}
@@ -1,216 +1,349 @@
 import XLSX from 'xlsx';
-import moment from 'moment-timezone';
+import fs from 'fs';
+import path from 'path';
+import crypto from 'crypto';
 import { getTableConfigForAWorkSheet } from './getTableConfig.mjs';
+import { sanitizeColumnName, transformValue, formatElapsed } from './transform.mjs';
+import { parseFieldType } from './fieldTypes.mjs';
+import { selectSheets, getSheetMapping } from './sheets.mjs';
+import { resolveLayout, isFooterRow } from './layout.mjs';
+import { createRowValidator } from './validate.mjs';
+import { collectRows } from './rows.mjs';
+import { getExtraColumnConfigs, createExtraColumnsResolver } from './extraColumns.mjs';
+import { createReshaper } from './reshape.mjs';
+import { getCellReadOptions, getCompanionConfigs, createCellReader, getCellValue, getCompanionValue, createFillDown } from './cells.mjs';
 
-function sanitizeColumnName(name) {
-  return name
-    .toLowerCase()
-    .replace(/[^a-z0-9]+/g, '_')
-    .replace(/^_+|_+$/g, '')
-    .replace(/_+/g, '_');
-}
-
-function getHyperlinkUrl(cell, config) {
-  // If isHyperlink is explicitly set to false, return text value
-  if (config.isHyperlink === false) {
-    return cell.v || null;
-  }
-
-  // Otherwise, prefer hyperlink if available, fall back to text
-  if (cell && cell.l && cell.l.Target) {
-    return cell.l.Target;
-  }
-  return cell.v || null;
-}
-
-function transformValue(value, config, timezone) {
-  if (value === '' || value === '-' || value === undefined || value === null) return null;
+// Prepares a worksheet for streaming. The returned sheet data carries the
+// columns and table config up front; rows() yields the transformed rows one at a
+// time and fills in rejects and summary as it goes. lineage (sourceFile,
+// sheetName, importId, importedAt) fills the "$extraColumns" lineage values.
+export function readWorksheet(worksheet, tableConfigFile, timezone, layout = resolveLayout(), lineage = {}) {
+  const startTime = Date.now();
+  // Get the range of cells in the worksheet
+  const range = XLSX.utils.decode_range(worksheet['!ref'] || 'A1');
+  // Data rows as 0-based sheet rows
+  const firstDataRow = layout.dataStartRow - 1;
+  const lastDataRow = layout.dataEndRow ? Math.min(layout.dataEndRow - 1, range.e.r) : range.e.r;
 
-  try {
-    switch (config.fieldType?.toLowerCase()) {
-      case 'timestamp':
-        // Handle Excel date numbers
-        if (typeof value === 'number') {
-          const excelDate = XLSX.SSF.parse_date_code(value);
-          const dateStr = `${excelDate.y}-${String(excelDate.m).padStart(2, '0')}-${String(excelDate.d).padStart(2, '0')} ${String(excelDate.H).padStart(2, '0')}:${String(excelDate.M).padStart(2, '0')}`;
-          const m = moment.tz(dateStr, 'YYYY-MM-DD HH:mm', timezone);
-          if (!m.isValid()) {
-            console.warn(`⚠️ Invalid date format: ${value}`);
-            return null;
-          }
-          return m.toISOString();
-        }
-        // Handle string dates
-        const m = moment.tz(value, 'YYYY-MM-DD HH:mm', timezone);
-        if (!m.isValid()) {
-          console.warn(`⚠️ Invalid date format: ${value}`);
-          return null;
-        }
-        return m.toISOString();
+  // Map columns based on config array order
+  const tableConfig = getTableConfigForAWorkSheet(worksheet, tableConfigFile, layout)
+  const extraConfigs = getExtraColumnConfigs(tableConfigFile);
+  const resolveExtraColumns = createExtraColumnsResolver(extraConfigs, tableConfig.map(c => c.header), lineage, timezone);
+  // With "$reshape" each wide row is read and validated as usual, then melted
+  const reshaper = createReshaper(tableConfigFile, tableConfig, timezone);
+  const outputConfig = reshaper ? reshaper.tableConfig : tableConfig;
+  const companionConfigs = getCompanionConfigs(tableConfig);
+  const readCell = createCellReader(worksheet, tableConfig);
+  const fillDown = createFillDown(tableConfig);
+  const validateRow = createRowValidator([...tableConfig.filter(c => !c.skip), ...companionConfigs, ...extraConfigs]);
+  const columns = [...outputConfig.filter(c => !c.skip), ...companionConfigs, ...extraConfigs]
+    .map(c => c.sqlColumn || sanitizeColumnName(c.header));
 
-      case 'number':
-        const num = Number(value);
-        return isNaN(num) ? null : num;
+  console.log(`📋 [${new Date().toISOString()}] Columns found: ${tableConfig.length}`);
 
-      case 'string':
-      default:
-        return String(value).replace(/\s+/g, ' ').trim();
-    }
-  } catch (error) {
-    console.warn(`⚠️ Error transforming value: ${value}`, error.message);
-    return null;
-  }
-}
+  const rejects = [];
+  const summary = {
+    totalRows: 0,
+    processedRows: 0,
+    skippedRows: 0,
+    emptyRows: 0,
+    elapsed: null
+  };
+  const progress = { total: Math.max(lastDataRow - firstDataRow + 1, 0), value: 0 };
 
-export async function parseAndTransformXLSX(worksheet, tableConfigFile, timezone) {
-  return new Promise((resolve, reject) => {
-    try {
-      const startTime = Date.now();
-      const columns = [];
-      const transformedData = [];
-      let processedRows = 0;
-      let skippedRows = 0;
-      let emptyRows = 0;
-      // Get the range of cells in the worksheet
-      const range = XLSX.utils.decode_range(worksheet['!ref'] || 'A1');
+  async function* rows() {
+    let footerRows = 0;
+    let sampleRow = null;
 
+    // Process data rows
+    for (let row = firstDataRow; row <= lastDataRow; row++) {
+      progress.value = row - firstDataRow + 1;
+      // Cells with merged ranges resolved for the fillMerged columns
+      const cells = tableConfig.map((_, colIndex) => readCell(row, colIndex));
+      if (isFooterRow(cells.map(cell => cell?.v), layout.footerPattern)) {
+        footerRows++;
+        continue;
+      }
 
-      // Map columns based on config array order
-      const tableConfig = getTableConfigForAWorkSheet(worksheet, tableConfigFile)
+      const rowData = [];
+      const conversionErrors = [];
+      let hasData = false;
+      // Cell values as shown in the sheet, with hyperlinks resolved. Blank rows
+      // are not filled down, so they are still counted as empty.
+      const sourceValues = tableConfig.map((config, colIndex) => getCellValue(cells[colIndex], config));
+      if (tableConfig.some((config, colIndex) => !config.skip && sourceValues[colIndex] !== null)) {
+        fillDown(sourceValues);
+      }
 
-      console.log(`📋 [${new Date().toISOString()}] Columns found: ${tableConfig.length}`);
+      tableConfig.forEach((config, colIndex) => {
+        if (config.skip) {
+          return; // Skip this column
+        }
 
-      // Process data rows
-      for (let row = range.s.r + 1; row <= range.e.r; row++) {
-        const rowData = [];
-        let hasData = false;
+        let value = sourceValues[colIndex];
 
-        tableConfig.forEach((config, colIndex) => {
-          if (config.skip) {
-            return; // Skip this column
+        // Transform the value based on field type. Text goes through the same
+        // rules as CSV text (null markers such as '-', whitespace); numbers and
+        // dates in a string column keep their cell type
+        const rawValue = value;
+        if (parseFieldType(config).type !== 'string' || typeof value === 'string') {
+          try {
+            value = transformValue(value, config, timezone);
+          } catch (error) {
+            value = null;
+            conversionErrors.push({ column: config.header, value: rawValue, reason: error.message });
           }
+        }
+        if (value !== null || conversionErrors.length > 0) {
+          hasData = true;
+        }
 
-          const cellAddress = XLSX.utils.encode_cell({ r: row, c: colIndex });
-          const cell = worksheet[cellAddress];
-
-          let value = cell ? getHyperlinkUrl(cell, config) : null;
+        rowData.push(value);
+      });
 
-          if (value !== null) {
-            hasData = true;
-          }
+      if (!hasData) {
+        if (layout.stopAtBlankRow) {
+          break;
+        }
+        summary.totalRows++;
+        summary.emptyRows++;
+        continue;
+      }
 
-          // Transform the value based on field type
-          if (config.fieldType === 'timestamp' && value) {
-            try {
-              const date = moment.tz(value, 'YYYY-MM-DD HH:mm', timezone);
-              value = date.isValid() ? date.toDate() : null;
-            } catch (error) {
-              console.warn(`Invalid date value: ${value}`);
-              value = null;
-            }
-          } else if (config.fieldType === 'number' && value !== null) {
-            value = Number(value);
-            if (isNaN(value)) {
-              value = null;
-            }
-          }
+      rowData.push(...companionConfigs.map(({ companion }) => getCompanionValue(cells[companion.colIndex], companion.kind)));
 
-          rowData.push(value);
-        });
+      // Extra columns use the 1-based row number as shown in Excel
+      const extra = resolveExtraColumns(sourceValues, row + 1);
+      rowData.push(...extra.values);
+      conversionErrors.push(...extra.errors);
 
-        if (hasData) {
-          transformedData.push(rowData);
-          processedRows++;
-        } else {
-          emptyRows++;
-        }
+      summary.totalRows++;
+      const errors = validateRow(rowData, conversionErrors);
+      if (errors.length > 0) {
+        // Report the 1-based row number as shown in Excel
+        rejects.push(...errors.map(e => ({ row: row + 1, ...e })));
+        summary.skippedRows++;
+      } else {
+        summary.processedRows++;
+        const outputRows = reshaper ? reshaper.reshapeRow(rowData) : [rowData];
+        sampleRow = sampleRow || outputRows[0];
+        yield* outputRows;
       }
+    }
 
-      const duration = ((Date.now() - startTime) / 1000).toFixed(2);
-      console.log(`
+    summary.elapsed = formatElapsed(startTime);
+    const duration = ((Date.now() - startTime) / 1000).toFixed(2);
+    console.log(`
 📊 XLSX Processing Summary:
-   Total rows in file: ${range.e.r - range.s.r}
-   Empty rows skipped: ${emptyRows}
-   Invalid rows skipped: ${skippedRows}
-   Valid rows transformed: ${transformedData.length}
+   Total rows in file: ${summary.totalRows}
+   Empty rows skipped: ${summary.emptyRows}
+   Footer rows skipped: ${footerRows}
+   Invalid rows skipped: ${summary.skippedRows}
+   Valid rows transformed: ${summary.processedRows}
    Processing time: ${duration}s
 `);
 
-    if (transformedData.length === 0) {
-        console.warn('⚠️ No data rows found in the XLSX file. Creating empty table.');
-      } else {
-        // Only log sample row if we have data
-        console.log('\n📝 Sample transformed row:');
-        console.log(columns.reduce((obj, col, i) => {
-          obj[col] = transformedData[0][i];
-          return obj;
-        }, {}));
-      }
+    if (!sampleRow) {
+      console.warn('⚠️ No data rows found in the XLSX file. Creating empty table.');
+    } else {
+      // Only log sample row if we have data
+      console.log('\n📝 Sample transformed row:');
+      console.log(columns.reduce((obj, col, i) => {
+        obj[col] = sampleRow[i];
+        return obj;
+      }, {}));
+    }
+  }
 
-      resolve({
-        columns: tableConfig
-          .filter(c => !c.skip)
-          .map(c => c.sqlColumn || sanitizeColumnName(c.header)),
-        transformedData,
-        tableConfig,
-        summary: {
-          totalRows: range.e.r - range.s.r,
-          processedRows,
-          skippedRows,
-          emptyRows,
-          elapsed: formatElapsed(startTime)
-        }
-      });
+  return { columns, tableConfig: [...outputConfig, ...companionConfigs, ...extraConfigs], rejects, summary, progress, rows };
+}
 
-    } catch (error) {
-      // console.error(`⚠️ [${new Date().toISOString()}] Error processing XLSX:`, {
-      //   message: error.message,
-      //   stack: error.stack,
-      //   file: filePath
-      // });
-      reject(new Error(`Failed to process XLSX: ${error.message}\n${error.stack}`));
-    }
-  });
+export async function parseAndTransformXLSX(worksheet, tableConfigFile, timezone, layout = resolveLayout(), lineage = {}) {
+  try {
+    return await collectRows(readWorksheet(worksheet, tableConfigFile, timezone, layout, lineage));
+  } catch (error) {
+    throw new Error(`Failed to process XLSX: ${error.message}\n${error.stack}`);
+  }
 }
 
 // Helper function to format elapsed time
-function formatElapsed(startTime) {
-  const elapsed = Date.now() - startTime;
-  if (elapsed < 1000) return `${elapsed}ms`;
-  return `${(elapsed / 1000).toFixed(2)}s`;
+const SOURCE_SHEET_COLUMN = 'source_sheet';
+
+function resolveTableName(options, mapping, sheetId, selectedCount) {
+  if (mapping.table) {
+    return mapping.table;
+  }
+  if (!options.table) {
+    return undefined;
+  }
+  const explicitSelection = (options.sheetNames?.length || 0) + (options.sheetIndexes?.length || 0) > 0;
+  if (options.unionSheets || (explicitSelection && selectedCount === 1)) {
+    return options.table;
+  }
+  return `${options.table}_sheet${sheetId}`;
 }
 
-export async function parseAndTransformXLSXAllSheets(filePath, tableConfigFile, timezone, callBack) {
+function readError(error, details) {
+  console.error(`⚠️ [${new Date().toISOString()}] Error processing XLSX:`, {
+    message: error.message,
+    stack: error.stack,
+    ...details
+  });
+  return new Error(`Failed to process XLSX: ${error.message}`);
+}
+
+// Reads an XLSX file from disk once; readSheetNames and loadWorksheet parse
+// its sheet list and sheets from these bytes
+export function readWorkbookFile(filePath) {
   try {
-    console.log(`\n📊 [${new Date().toISOString()}] Reading XLSX file...`);
-    // Read the workbook with hyperlink parsing enabled
-    const workbook = XLSX.readFile(filePath, {
-      type: 'file',
-      cellDates: true,
-      cellNF: false,
-      cellText: false,
-      cellHTML: true // Enable HTML/hyperlink parsing
-    });
+    return fs.readFileSync(filePath);
+  } catch (error) {
+    throw readError(error, { file: filePath });
+  }
+}
 
-    console.log('\n📑 Available sheets:', workbook.SheetNames);
-    const sheetNames = workbook.SheetNames;
-    const results = [];
-    for (const sheetName of sheetNames) {
-      console.log(`📋 [${new Date().toISOString()}] Processing sheet: '${sheetName}'`);
-      const sheetData = await parseAndTransformXLSX(workbook.Sheets[sheetName], tableConfigFile, timezone);
-      sheetData.sheetName = sheetName;
-      sheetData.sheetId = sheetNames.indexOf(sheetName) + 1;
-      results.push(sheetData);
-      await callBack(sheetData);
-      console.log(`📋 [${new Date().toISOString()}] Finished processing sheet: '${sheetName}'`);
-    }
-    return results;
+// Lists the sheets of a workbook without reading their cells
+export function readSheetNames(data) {
+  try {
+    return XLSX.read(data, { type: 'buffer', bookSheets: true }).SheetNames;
+  } catch (error) {
+    throw readError(error, {});
+  }
+}
+
+// Parses one sheet in dense mode (cells kept as arrays of rows). XLSX files are
+// zip archives that cannot be streamed, so a parsed sheet is held in memory
+// until the caller lets go of it; sheets are parsed one at a time so only one
+// is held at once. readOptions.cellText keeps the formatted text of each cell
+// and readOptions.sheetRows stops after that many rows. Number formats are
+// always read, since they tell date cells from numbers (see getRawCellValue).
+export function loadWorksheet(data, sheetName, readOptions = {}) {
+  try {
+    return XLSX.read(data, {
+      type: 'buffer',
+      sheets: [sheetName],
+      dense: true,
+      sheetRows: readOptions.sheetRows || 0,
+      cellDates: false,
+      cellNF: true,
+      cellText: Boolean(readOptions.cellText),
+      // Hyperlinks (cell.l) are parsed without the HTML rendering of every cell
+      cellHTML: false
+    }).Sheets[sheetName];
   } catch (error) {
-    console.error(`⚠️ [${new Date().toISOString()}] Error processing XLSX:`, {
-      message: error.message,
-      stack: error.stack,
-      file: filePath
+    throw readError(error, { sheet: sheetName });
+  }
+}
+
+// Parses the sheet, reading formatted text only when a column asks for it
+function openSheet(data, filePath, sheet, timezone, lineage) {
+  console.log(`📋 [${new Date().toISOString()}] Processing sheet: '${sheet.sheetName}'`);
+  const worksheet = loadWorksheet(data, sheet.sheetName, getCellReadOptions(sheet.mapping.columnOverrides));
+  const sheetLineage = { ...lineage, sourceFile: path.basename(filePath), sheetName: sheet.sheetName };
+  return {
+    ...readWorksheet(worksheet, sheet.mapping.columnOverrides, timezone, sheet.layout, sheetLineage),
+    sheetName: sheet.sheetName,
+    sheetId: sheet.sheetId,
+    tableName: sheet.tableName
+  };
+}
+
+// Combines same-shaped sheets bound for one table, tagging each row with its
+// sheet. Sheets after the first are only parsed once the previous one is
+// loaded, and each is let go of before the next is parsed.
+function unionSheets(data, filePath, sheets, timezone, lineage) {
+  let first = openSheet(data, filePath, sheets[0], timezone, lineage);
+  const firstColumns = first.columns;
+  const firstName = first.sheetName;
+  const rejects = [];
+  const summary = { totalRows: 0, processedRows: 0, skippedRows: 0, emptyRows: 0, elapsed: null };
+  const union = {
+    columns: [...first.columns, SOURCE_SHEET_COLUMN],
+    tableConfig: [
+      ...first.tableConfig,
+      { header: SOURCE_SHEET_COLUMN, sqlColumn: SOURCE_SHEET_COLUMN, fieldType: 'string', needIndex: false }
+    ],
+    rejects,
+    summary,
+    progress: first.progress,
+    sheetName: sheets.map(sheet => sheet.sheetName).join(', '),
+    sheetId: first.sheetId,
+    tableName: first.tableName
+  };
+
+  union.rows = async function* () {
+    for (const [idx, sheet] of sheets.entries()) {
+      let sheetData = idx === 0 ? first : openSheet(data, filePath, sheet, timezone, lineage);
+      first = null;
+      if (sheetData.columns.join(',') !== firstColumns.join(',')) {
+        throw new Error(`Cannot union sheet '${sheet.sheetName}' with '${firstName}': columns differ`);
+      }
+      union.progress = sheetData.progress;
+      for await (const row of sheetData.rows()) {
+        yield [...row, sheet.sheetName];
+      }
+      rejects.push(...sheetData.rejects.map(reject => ({ sheet: sheet.sheetName, ...reject })));
+      Object.keys(summary).filter(key => key !== 'elapsed').forEach(key => {
+        summary[key] += sheetData.summary[key];
+      });
+      summary.elapsed = summary.elapsed || sheetData.summary.elapsed;
+      sheetData = null;
+    }
+  };
+  return union;
+}
+
+// Imports the selected sheets of a workbook. options.sheetNames (names or globs)
+// and options.sheetIndexes (1-based) select sheets, the "$sheets" section of the
+// table config routes sheets to tables with their own column config and layout,
+// options.layout gives the default header and data rows, and
+// options.unionSheets loads all sheets bound for the same table together and
+// options.lineage gives the import id and time for "$extraColumns".
+// callBack receives each sheet before its rows are read and streams them with rows().
+export async function parseAndTransformXLSXAllSheets(filePath, tableConfigFile, timezone, callBack, options = {}) {
+  console.log(`\n📊 [${new Date().toISOString()}] Reading XLSX file...`);
+  const data = readWorkbookFile(filePath);
+  const sheetNames = readSheetNames(data);
+
+  console.log('\n📑 Available sheets:', sheetNames);
+  const selectedSheets = selectSheets(sheetNames, { names: options.sheetNames, indexes: options.sheetIndexes });
+  console.log('📑 Selected sheets:', selectedSheets);
+
+  const sheets = selectedSheets.map(sheetName => {
+    const mapping = getSheetMapping(tableConfigFile, sheetName);
+    const sheetId = sheetNames.indexOf(sheetName) + 1;
+    return {
+      sheetName,
+      sheetId,
+      mapping,
+      layout: resolveLayout(options.layout, mapping.sheetConfig),
+      tableName: resolveTableName(options, mapping, sheetId, selectedSheets.length)
+    };
+  });
+
+  const groups = [];
+  if (options.unionSheets) {
+    const byTable = new Map();
+    sheets.forEach(sheet => {
+      byTable.set(sheet.tableName, [...(byTable.get(sheet.tableName) || []), sheet]);
     });
-    return new Error(`Failed to process XLSX: ${error.message}\n${error.stack}`);
+    groups.push(...byTable.values());
+  } else {
+    groups.push(...sheets.map(sheet => [sheet]));
+  }
+
+  // One import id and time for every sheet of the file
+  const lineage = { importId: crypto.randomUUID(), importedAt: new Date().toISOString(), ...options.lineage };
+  const results = [];
+  for (const group of groups) {
+    const sheetData = options.unionSheets
+      ? unionSheets(data, filePath, group, timezone, lineage)
+      : openSheet(data, filePath, group[0], timezone, lineage);
+    await callBack(sheetData);
+    console.log(`📋 [${new Date().toISOString()}] Finished processing sheet: '${sheetData.sheetName}'`);
+    // Keep the outcome, not the worksheet behind rows()
+    const { rows, progress, ...result } = sheetData;
+    results.push(result);
   }
-}
\ No newline at end of file
+  return results;
+}
@@ -5,26 +5,127 @@ import { hideBin } from 'yargs/helpers';
 import dotenv from 'dotenv';
 import fs from 'fs';
 import path from 'path';
+import crypto from 'crypto';
+import { fileURLToPath } from 'url';
 import { parseAndTransformXLSXAllSheets } from '../lib/xlsx.mjs';
-import { initializeDB, createTempTable, insertBatch, swapTables, closeDB } from '../lib/db.mjs';
+import { parseAndTransformCSV } from '../lib/csv.mjs';
+import { initializeDB, createTempTable, getCreateTableStatements, insertBatch, copyBatch, appendStagedRows, dropTable, acquireTableLock, releaseTableLock, dropOrphanedTempTables, swapTables, removeKeyRejects, listTableVersions, rollbackTable, previewSchemaDiff, formatSchemaDiff, ensureAuditTable, ensureStateTable, getImportState, saveImportState, clearImportState, getTableColumns, closeDB } from '../lib/db.mjs';
+import { sha256File, sha256Text, createRowsHash } from '../lib/checksum.mjs';
+import { getTableConfigOverrides } from '../lib/getTableConfig.mjs';
+import { createColumnStats, addRowToStats, formatColumnStats } from '../lib/stats.mjs';
+import { batchRows } from '../lib/rows.mjs';
 import { sendSlackNotification } from '../lib/notifications.mjs';
+import { writeRejectsFile } from '../lib/rejects.mjs';
+import { createAuditRecord, writeAuditRecord } from '../lib/audit.mjs';
+import { inferTableConfig } from '../lib/inferConfig.mjs';
+import { resolveInputFiles, moveInputFile } from '../lib/inputFiles.mjs';
+import { loadRoutes, watchFolder } from '../lib/watch.mjs';
+import { summarizeRejects } from '../lib/validate.mjs';
 import moment from 'moment';
+import cliProgress from 'cli-progress';
 
 // Load environment variables first
 dotenv.config();
 
-if (!process.env.DATABASE_URL) {
-  console.error('❌ DATABASE_URL environment variable is not set');
-  process.exit(1);
+// Options for reading the input file, shared by the import and init-config
+function inputOptions(yargs) {
+  return yargs
+    .option('sheet-name', {
+      describe: 'Sheet to import, by name or glob pattern (repeatable, defaults to all sheets)',
+      type: 'array',
+      string: true
+    })
+    .option('sheet-index', {
+      describe: '1-based position of a sheet to import (repeatable)',
+      type: 'array',
+      number: true
+    })
+    .option('header-row', {
+      describe: 'Row number (1-based) of the first header row',
+      type: 'number'
+    })
+    .option('header-rows', {
+      describe: 'Number of header rows, joined into one column name like "Q1 > Revenue"',
+      type: 'number'
+    })
+    .option('data-start-row', {
+      describe: 'Row number (1-based) of the first data row (defaults to the row after the headers)',
+      type: 'number'
+    })
+    .option('data-end-row', {
+      describe: 'Row number (1-based) of the last data row',
+      type: 'number'
+    })
+    .option('stop-at-blank-row', {
+      describe: 'Stop reading a sheet at the first blank data row',
+      type: 'boolean'
+    })
+    .option('footer-pattern', {
+      describe: 'Skip rows whose first non-empty cell matches this regex (case-insensitive), e.g. "^(grand )?total"',
+      type: 'string'
+    })
+    .option('delimiter', {
+      describe: 'CSV field delimiter',
+      type: 'string',
+      default: ','
+    })
+    .option('quote', {
+      describe: 'CSV quote character',
+      type: 'string',
+      default: '"'
+    })
+    .option('escape', {
+      describe: 'CSV escape character for quotes inside quoted fields',
+      type: 'string',
+      default: '"'
+    })
+    .option('encoding', {
+      describe: 'CSV file encoding (utf8, latin1, utf16le)',
+      type: 'string',
+      default: 'utf8'
+    })
+    .option('header', {
+      describe: 'CSV file has a header row (use --no-header to name columns Column1, Column2, ...)',
+      type: 'boolean',
+      default: true
+    });
 }
 
-async function main() {
-  // 1. Parse CLI arguments
-  const argv = yargs(hideBin(process.argv))
+// Shared by the commands that change a target table
+function lockOptions(yargs) {
+  return yargs
+    .option('on-lock-conflict', {
+      describe: 'What to do when another import into the same table is running: wait for it or fail',
+      choices: ['wait', 'fail'],
+      default: 'wait'
+    })
+    .option('lock-timeout', {
+      describe: 'Seconds to wait for another import into the same table before failing (0 waits as long as it takes)',
+      type: 'number',
+      default: 0
+    });
+}
+
+function importOptions(yargs) {
+  return lockOptions(inputOptions(yargs))
     .option('input-file', {
-      describe: 'Path to input Excel or CSV file',
-      type: 'string',
-      demandOption: true
+      describe: 'Path to input Excel or CSV file, or a glob pattern like "branches/*.xlsx" (repeatable)',
+      type: 'array',
+      string: true
+    })
+    .option('input-dir', {
+      describe: 'Import every Excel and CSV file in this directory',
+      type: 'string'
+    })
+    .option('on-file-error', {
+      describe: 'With several input files, roll back all of them when one fails, or isolate the failed file and load the rest',
+      choices: ['rollback', 'isolate'],
+      default: 'rollback'
+    })
+    .option('move-processed', {
+      describe: 'Move each input file into a done/ or failed/ folder next to it after the import',
+      type: 'boolean',
+      default: false
     })
     .option('table', {
       describe: 'Target PostgreSQL table (format: schema.table)',
@@ -46,99 +147,1067 @@ async function main() {
       type: 'number',
       default: 5000
     })
+    .option('load-method', {
+      describe: 'How rows are loaded into the staging table',
+      choices: ['copy', 'insert'],
+      default: 'insert'
+    })
     .option('truncate', {
       describe: 'Truncate table before import',
       type: 'boolean',
       default: false
     })
+    .option('swap-strategy', {
+      describe: 'How --truncate replaces the target: rename drops it and renames the staging table, truncate-insert keeps the table and its grants, views and constraints',
+      choices: ['rename', 'truncate-insert'],
+      default: 'rename'
+    })
+    .option('truncate-cascade', {
+      describe: 'With --swap-strategy truncate-insert, empty the target with TRUNCATE ... CASCADE, which also empties the tables referencing it',
+      type: 'boolean',
+      default: false
+    })
+    .option('mode', {
+      describe: 'How rows are merged into an existing table when not truncating; scd2 keeps the history of every key',
+      choices: ['append', 'upsert', 'sync', 'scd2'],
+      default: 'append'
+    })
+    .option('force-delete-missing', {
+      describe: 'With --mode sync or --close-missing, delete or close the rows whose key is missing from the file even when rows of the file were rejected',
+      type: 'boolean',
+      default: false
+    })
+    .option('close-missing', {
+      describe: 'With --mode scd2, close the current versions of keys missing from the file',
+      type: 'boolean',
+      default: false
+    })
+    .option('schema-evolution', {
+      describe: 'What to do when the file\'s columns differ from an existing target table',
+      choices: ['add-columns', 'strict', 'ignore'],
+      default: 'ignore'
+    })
+    .option('key', {
+      describe: 'Key columns for upsert/sync/scd2 (defaults to the columns marked primary in the table config)',
+      type: 'array',
+      string: true
+    })
+    .option('create-key-index', {
+      describe: 'Create the unique index on the key columns that upsert and sync need when an existing target has none',
+      type: 'boolean',
+      default: false
+    })
+    .option('keep-versions', {
+      describe: 'Keep the replaced table as <table>__bak_<timestamp> for rollback, up to this many versions (0 keeps none)',
+      type: 'number',
+      default: 0
+    })
+    .option('rejects-file', {
+      describe: 'Write rejected rows with the failing column, raw value and reason to this CSV or XLSX file',
+      type: 'string'
+    })
+    .option('max-errors', {
+      describe: 'Abort the import before the table swap when more rows than this are rejected',
+      type: 'number'
+    })
     .option('slack-notify-url', {
       describe: 'Slack webhook URL for notifications',
       type: 'string'
     })
+    .option('audit-table', {
+      describe: 'Record every sheet import in this table (format: schema.table), created if it does not exist',
+      type: 'string'
+    })
+    .option('skip-if-unchanged', {
+      describe: 'Skip a sheet when its target was last imported from the same file, config and rows',
+      type: 'boolean',
+      default: false
+    })
+    .option('state-table', {
+      describe: 'Table holding the file and content hashes of the last import per target, for --skip-if-unchanged',
+      type: 'string',
+      default: 'public.xlsx_to_psql_state'
+    })
+    .option('dry-run', {
+      describe: 'Parse, transform and validate the file and print the DDL and column statistics without touching the database',
+      type: 'boolean',
+      default: false
+    })
+    .option('compare-schema', {
+      describe: 'With --dry-run, connect read-only and show the schema diff against the existing target table',
+      type: 'boolean',
+      default: false
+    })
+    .option('union-sheets', {
+      describe: 'Load all selected sheets bound for the same table into it together, with a source_sheet column',
+      type: 'boolean',
+      default: false
+    })
     .check((argv) => {
-      // Validate file exists
-      if (!fs.existsSync(argv.inputFile)) {
-        throw new Error(`Input file not found: ${argv.inputFile}`);
-      }
       // Validate table config exists
       // if (!fs.existsSync(argv.tableConfig)) {
       //   throw new Error(`Table config file not found: ${argv.tableConfig}`);
       // }
-      // Validate file extension
-      const ext = path.extname(argv.inputFile).toLowerCase();
-      if (!['.csv', '.xlsx', '.xls'].includes(ext)) {
-        throw new Error(`Unsupported file type: ${ext}. Only .csv, .xlsx, and .xls files are supported`);
+      // Validate the input files exist and are supported
+      const inputFiles = resolveInputFiles(argv.inputFile, argv.inputDir);
+      if (inputFiles.length > 1 && argv.skipIfUnchanged) {
+        throw new Error('--skip-if-unchanged can only be used with a single input file');
+      }
+      if (argv.compareSchema && !argv.dryRun) {
+        throw new Error('--compare-schema can only be used with --dry-run');
+      }
+      if (argv.truncate && argv.mode !== 'append') {
+        throw new Error(`--mode ${argv.mode} cannot be combined with --truncate`);
+      }
+      if (argv.truncateCascade && argv.swapStrategy !== 'truncate-insert') {
+        throw new Error('--truncate-cascade can only be used with --swap-strategy truncate-insert');
+      }
+      if (argv.closeMissing && argv.mode !== 'scd2') {
+        throw new Error('--close-missing can only be used with --mode scd2');
+      }
+      if (!Number.isInteger(argv.keepVersions) || argv.keepVersions < 0) {
+        throw new Error('--keep-versions must be a whole number of versions');
       }
       return true;
+    });
+}
+
+function listVersionsOptions(yargs) {
+  return yargs
+    .option('table', {
+      describe: 'Table whose versions to list (format: schema.table)',
+      type: 'string',
+      demandOption: true
+    });
+}
+
+function rollbackOptions(yargs) {
+  return lockOptions(yargs)
+    .option('table', {
+      describe: 'Table to roll back (format: schema.table)',
+      type: 'string',
+      demandOption: true
+    })
+    .option('to', {
+      describe: 'Version to restore, as shown by list-versions or the backup table name (defaults to the latest)',
+      type: 'string'
     })
-    .argv;
+    .option('state-table', {
+      describe: 'State table of --skip-if-unchanged, whose entry for the table is cleared',
+      type: 'string',
+      default: 'public.xlsx_to_psql_state'
+    })
+    .option('slack-notify-url', {
+      describe: 'Slack webhook URL for notifications',
+      type: 'string'
+    });
+}
+
+function initConfigOptions(yargs) {
+  return inputOptions(yargs)
+    .option('input-file', {
+      describe: 'Path to input Excel or CSV file',
+      type: 'string',
+      demandOption: true
+    })
+    .option('output', {
+      describe: 'Config file to write (defaults to <input file name>.config.json)',
+      type: 'string'
+    })
+    .option('sample-rows', {
+      describe: 'Number of data rows per sheet to scan (0 scans every row)',
+      type: 'number',
+      default: 1000
+    })
+    .option('force', {
+      describe: 'Overwrite the output file if it exists',
+      type: 'boolean',
+      default: false
+    })
+    .check((argv) => {
+      resolveInputFiles([argv.inputFile]);
+      return true;
+    });
+}
+
+function watchOptions(yargs) {
+  return yargs
+    .positional('dir', {
+      describe: 'Folder to watch for Excel and CSV files',
+      type: 'string'
+    })
+    .option('routes', {
+      describe: 'JSON file mapping file name patterns to a table, table config and import options',
+      type: 'string',
+      demandOption: true
+    })
+    .option('timezone', {
+      describe: 'Timezone for routes that do not set their own',
+      type: 'string'
+    })
+    .option('poll-interval', {
+      describe: 'Seconds between scans of the folder',
+      type: 'number',
+      default: 5
+    })
+    .option('stable-seconds', {
+      describe: 'Seconds a file\'s size must stay unchanged before it is imported',
+      type: 'number',
+      default: 10
+    })
+    .option('concurrency', {
+      describe: 'Number of files imported at the same time',
+      type: 'number',
+      default: 1
+    })
+    .option('archive-dir', {
+      describe: 'Folder imported files are moved to, relative to the watched folder',
+      type: 'string',
+      default: 'done'
+    })
+    .option('quarantine-dir', {
+      describe: 'Folder failed and unrouted files are moved to, relative to the watched folder',
+      type: 'string',
+      default: 'failed'
+    })
+    .option('slack-notify-url', {
+      describe: 'Slack webhook URL for routes that do not set their own, and for unrouted files',
+      type: 'string'
+    })
+    .option('once', {
+      describe: 'Import the files in the folder, then exit instead of watching',
+      type: 'boolean',
+      default: false
+    })
+    .check((argv) => {
+      if (!fs.existsSync(argv.dir) || !fs.statSync(argv.dir).isDirectory()) {
+        throw new Error(`Folder not found: ${argv.dir}`);
+      }
+      if (!fs.existsSync(argv.routes)) {
+        throw new Error(`Routes file not found: ${argv.routes}`);
+      }
+      if (!Number.isInteger(argv.concurrency) || argv.concurrency < 1) {
+        throw new Error('--concurrency must be a positive integer');
+      }
+      return true;
+    });
+}
+
+// Reads the sheet selection, layout and CSV options shared by both commands
+function getInputOptions(argv) {
+  return {
+    sheetNames: argv.sheetName,
+    sheetIndexes: argv.sheetIndex,
+    layout: {
+      headerRow: argv.headerRow,
+      headerRows: argv.headerRows,
+      dataStartRow: argv.dataStartRow,
+      dataEndRow: argv.dataEndRow,
+      stopAtBlankRow: argv.stopAtBlankRow,
+      footerPattern: argv.footerPattern
+    },
+    csvOptions: {
+      delimiter: argv.delimiter,
+      quote: argv.quote,
+      escape: argv.escape,
+      encoding: argv.encoding,
+      header: argv.header
+    }
+  };
+}
+
+async function runInitConfig(argv) {
+  const output = argv.output || `${path.basename(argv.inputFile, path.extname(argv.inputFile))}.config.json`;
+  if (fs.existsSync(output) && !argv.force) {
+    console.error(`❌ ${output} already exists, use --force to overwrite it`);
+    process.exit(1);
+  }
+
+  try {
+    const tableConfig = await inferTableConfig(argv.inputFile, {
+      ...getInputOptions(argv),
+      sampleRows: argv.sampleRows
+    });
+    fs.writeFileSync(output, `${JSON.stringify(tableConfig, null, 2)}\n`);
+    console.log(`\n✅ Wrote table configuration to ${output}`);
+  } catch (error) {
+    console.error(`\n❌ Error generating table configuration: ${error.message}`);
+    process.exit(1);
+  }
+}
+
+async function runWatch(argv) {
+  try {
+    const routes = loadRoutes(argv.routes, {
+      ...(argv.timezone && { timezone: argv.timezone }),
+      ...(argv.slackNotifyUrl && { slackNotifyUrl: argv.slackNotifyUrl })
+    });
+    await watchFolder(path.resolve(argv.dir), {
+      routes,
+      cliPath: fileURLToPath(import.meta.url),
+      pollInterval: argv.pollInterval,
+      stableSeconds: argv.stableSeconds,
+      concurrency: argv.concurrency,
+      archiveDir: argv.archiveDir,
+      quarantineDir: argv.quarantineDir,
+      slackNotifyUrl: argv.slackNotifyUrl,
+      once: argv.once
+    });
+  } catch (error) {
+    console.error(`\n❌ Error watching ${argv.dir}: ${error.message}`);
+    process.exit(1);
+  }
+}
+
+async function runListVersions(argv) {
+  if (!process.env.DATABASE_URL) {
+    console.error('❌ DATABASE_URL environment variable is not set');
+    process.exit(1);
+  }
 
   try {
-    // Initialize database connection first
-    console.log(`\n🔌 [${new Date().toISOString()}] Initializing database connection...`);
     initializeDB(process.env.DATABASE_URL);
+    const versions = await listTableVersions(argv.table);
+    if (versions.length === 0) {
+      console.log(`📚 [${new Date().toISOString()}] ${argv.table} does not exist and has no previous versions`);
+      return;
+    }
+    console.log(`📚 [${new Date().toISOString()}] Versions of ${argv.table}, newest first:`);
+    versions.forEach(({ table, version, rows, metadata }) => {
+      const details = metadata
+        ? `imported ${metadata.importedAt} from ${metadata.files.join(', ')}${metadata.sheets.length ? ` (${metadata.sheets.join(', ')})` : ''}, mode ${metadata.mode}, import ${metadata.importId}${metadata.restoredFrom ? `, restored from ${metadata.restoredFrom}` : ''}`
+        : 'no import details';
+      console.log(`   ${version.padEnd(14)}  ${table}: ${rows} rows, ${details}`);
+    });
+  } catch (error) {
+    console.error(`\n❌ Error listing versions of ${argv.table}: ${error.message}`);
+    process.exitCode = 1;
+  } finally {
+    await closeDB();
+  }
+}
+
+async function runRollback(argv) {
+  if (!process.env.DATABASE_URL) {
+    console.error('❌ DATABASE_URL environment variable is not set');
+    process.exit(1);
+  }
+
+  let lock;
+  try {
+    initializeDB(process.env.DATABASE_URL);
+    // An import swapping into the table at the same time would undo the rollback
+    const wait = argv.onLockConflict === 'wait';
+    console.log(`🔒 [${new Date().toISOString()}] Locking ${argv.table}`);
+    lock = await acquireTableLock(argv.table, { wait, timeoutSeconds: argv.lockTimeout });
+
+    const { restored, replacedBy, inPlace } = await rollbackTable(argv.table, argv.to);
+    // The next import with --skip-if-unchanged must not skip the rolled back file
+    await clearImportState(argv.stateTable, argv.table);
+    const how = inPlace ? 'copied its rows back' : 'renamed it into place';
+    const message = `⏪ Rolled ${argv.table} back to version ${restored.version} (${how})${replacedBy ? `, the replaced rows are kept as ${replacedBy}` : ''}`;
+    console.log(`\n${message}`);
+    await sendSlackNotification(argv.slackNotifyUrl, message);
+  } catch (error) {
+    const errorMessage = `❌ Error rolling back ${argv.table}: ${error.message}`;
+    console.error(`\n${errorMessage}`);
+    await sendSlackNotification(argv.slackNotifyUrl, errorMessage);
+    process.exitCode = 1;
+  } finally {
+    if (lock) {
+      await releaseTableLock(lock);
+    }
+    await closeDB();
+  }
+}
+
+const TOOL_VERSION = JSON.parse(fs.readFileSync(new URL('../package.json', import.meta.url), 'utf-8')).version;
+
+// Re-indents a generated statement for display
+function formatStatement(query) {
+  const lines = query.trim().split('\n').map(line => line.trim());
+  return `${lines.map((line, idx) => (idx > 0 && idx < lines.length - 1 ? `  ${line}` : line)).join('\n')};`;
+}
+
+async function runImport(argv) {
+  // A dry run only connects to compare the schema
+  const needsDatabase = !argv.dryRun || argv.compareSchema;
+  if (needsDatabase && !process.env.DATABASE_URL) {
+    console.error('❌ DATABASE_URL environment variable is not set');
+    process.exit(1);
+  }
+  // Nothing is imported in a dry run, so there is nothing to notify about or audit
+  const slackNotifyUrl = argv.dryRun ? undefined : argv.slackNotifyUrl;
+  const auditTable = argv.dryRun ? undefined : argv.auditTable;
+  const skipIfUnchanged = argv.skipIfUnchanged && !argv.dryRun;
+  const runStartedAt = new Date();
+  // Identifies this run in "$extraColumns" lineage values and the audit table
+  const lineage = { importId: crypto.randomUUID(), importedAt: runStartedAt.toISOString() };
+
+  // Each input file with what became of it, for the summary and --move-processed
+  const files = resolveInputFiles(argv.inputFile, argv.inputDir).map(filePath => ({
+    filePath,
+    fileName: path.basename(filePath),
+    isCSV: path.extname(filePath).toLowerCase() === '.csv',
+    fileSha256: null,
+    status: 'pending',
+    error: null,
+    validRows: 0,
+    rejectedRows: 0
+  }));
+  // Several files are staged first and swapped into each target table together
+  const isBatch = files.length > 1;
+  const isolateFailures = isBatch && argv.onFileError === 'isolate';
+  const stagedTables = new Map();
+  // Each target table is swapped in its own transaction, so a batch spanning
+  // several tables can fail after some of them were imported
+  const publishedTables = [];
+  const partCounts = new Map();
+  // Staging tables of this run are named <table>_tmp_<stagingId>
+  const stagingId = lineage.importId.slice(0, 8);
+  // Advisory locks held on the target tables, taken before the first staging
+  // table of a target is created and released once it has been swapped in
+  const tableLocks = new Map();
+
+  const lockTable = async (tableName) => {
+    if (tableLocks.has(tableName)) {
+      return;
+    }
+    const wait = argv.onLockConflict === 'wait';
+    console.log(`🔒 [${new Date().toISOString()}] Locking ${tableName}${wait ? ` (waiting ${argv.lockTimeout ? `up to ${argv.lockTimeout}s` : 'as long as it takes'} for other imports)` : ''}`);
+    tableLocks.set(tableName, await acquireTableLock(tableName, { wait, timeoutSeconds: argv.lockTimeout }));
+    // With the lock held, staging tables of the target can only be left from crashed runs
+    const orphans = await dropOrphanedTempTables(tableName);
+    if (orphans.length > 0) {
+      console.warn(`🧹 [${new Date().toISOString()}] Dropped staging tables left behind by earlier runs: ${orphans.join(', ')}`);
+    }
+  };
+
+  const unlockTable = async (tableName) => {
+    const lock = tableLocks.get(tableName);
+    if (lock) {
+      tableLocks.delete(tableName);
+      await releaseTableLock(lock);
+    }
+  };
+  let currentFile = isBatch ? null : files[0];
+  // Rejects of all files, written to --rejects-file once the run is over
+  const allRejects = [];
+  const saveRejects = () => {
+    if (argv.rejectsFile && allRejects.length > 0) {
+      writeRejectsFile(argv.rejectsFile, allRejects);
+    }
+  };
+
+  const writeAudit = async ({ startedAt, file, sheetData, summaryData, status, error }) => {
+    if (!auditTable) {
+      return;
+    }
+    const run = { argv, importId: lineage.importId, toolVersion: TOOL_VERSION };
+    await writeAuditRecord(auditTable, createAuditRecord({ run, startedAt, file, sheetData, summaryData, status, error }));
+  };
+
+  const failFile = (file, error) => {
+    file.status = 'failed';
+    file.error = file.error || error;
+  };
+
+  // The error that got here matters more than a failed cleanup
+  const dropStagingTable = async (tmpTableName) => {
+    try {
+      await dropTable(tmpTableName);
+    } catch (dropError) {
+      console.warn(`⚠️ [${new Date().toISOString()}] Could not drop the staging table ${tmpTableName}: ${dropError.message}`);
+    }
+  };
+
+  // Drops the staging tables of a batch that will not be swapped in
+  const discardStagedParts = async (predicate, error) => {
+    for (const [tableName, parts] of stagedTables) {
+      for (const part of parts.filter(predicate)) {
+        await dropTable(part.tmpTableName);
+        await writeAudit({ startedAt: part.startedAt, file: part.file, sheetData: part.sheetData, status: 'failed', error });
+      }
+      stagedTables.set(tableName, parts.filter(part => !predicate(part)));
+    }
+  };
+
+  const moveProcessedFiles = () => {
+    if (!argv.moveProcessed || argv.dryRun) {
+      return;
+    }
+    // Files of a rolled back batch that did not fail stay where they are for the next run
+    files.filter(file => ['success', 'failed'].includes(file.status)).forEach(file => {
+      const destination = moveInputFile(file.filePath, file.status === 'success' ? 'done' : 'failed');
+      console.log(`📦 [${new Date().toISOString()}] Moved ${file.fileName} to ${path.dirname(destination)}`);
+    });
+  };
+
+  try {
+    // Initialize database connection first
+    if (needsDatabase) {
+      console.log(`\n🔌 [${new Date().toISOString()}] Initializing database connection...`);
+      initializeDB(process.env.DATABASE_URL);
+    }
+    if (auditTable) {
+      await ensureAuditTable(auditTable);
+      console.log(`🧾 [${new Date().toISOString()}] Auditing to ${auditTable}`);
+    }
+    if (skipIfUnchanged) {
+      await ensureStateTable(argv.stateTable);
+    }
 
     // 2. Read and validate table configuration
     console.log(`📋 [${new Date().toISOString()}] Loaded table configuration`);
     console.log(`🕒 [${new Date().toISOString()}] Using timezone: ${argv.timezone}`);
     console.log(`📦 [${new Date().toISOString()}] Batch size: ${argv.batchSize}`);
+    if (isBatch) {
+      console.log(`📁 [${new Date().toISOString()}] ${files.length} input files, on file error: ${argv.onFileError}`);
+    }
 
     // 3. Parse and transform data based on file type
-    await parseAndTransformXLSXAllSheets(
-      argv.inputFile,
-      argv.tableConfig,
-      argv.timezone,
-      async ({ columns, transformedData, summary, tableConfig, sheetId }) => {
-        // 4. Create temporary table with timestamp-suffixed indexes
-        const timestamp = moment().format('YYYYMMDDHHMMSS');
-        const tableName = argv.table + `_sheet${sheetId}`;
-        const { tmpTableName } = await createTempTable(tableName, columns, tableConfig, timestamp);
-        const {emptyRows = 0, skippedRows = 0, totalRows = 0} = summary;
-        // 5. Insert data in batches
-        console.log('\nInserting data...');
-        let insertedRows = 0;
-        const startTime = Date.now();
-
-        for (let i = 0; i < transformedData.length; i += argv.batchSize) {
-          const batch = transformedData.slice(i, i + argv.batchSize);
-          await insertBatch(tmpTableName, columns, batch);
+    const { sheetNames, sheetIndexes, layout, csvOptions } = getInputOptions(argv);
+    // Everything besides the column config that changes the rows read from the file
+    const importSettings = {
+      tableConfigFile: getTableConfigOverrides(argv.tableConfig),
+      timezone: argv.timezone,
+      layout,
+      csvOptions,
+      unionSheets: argv.unionSheets
+    };
+    let rejectedRows = 0;
+    const reportRejects = (sheetName, rejects, skippedRows) => {
+      if (rejects.length === 0) {
+        return;
+      }
+      console.warn(`⚠️ [${new Date().toISOString()}] ${skippedRows} rows rejected in '${sheetName}':`);
+      summarizeRejects(rejects).forEach(({ key, count, rows }) => {
+        // Key rejects found in the staging table have no row number
+        const sampleRows = rows.filter(row => row !== null);
+        console.warn(`   ${key} (${count})${sampleRows.length ? ` e.g. rows ${sampleRows.join(', ')}` : ''}`);
+      });
+      allRejects.push(...rejects.map(reject => ({ file: currentFile.fileName, sheet: sheetName, ...reject })));
+    };
+    // Rejects are counted across all sheets of a file
+    const checkMaxErrors = (rejectedSoFar) => {
+      if (argv.maxErrors !== undefined && rejectedSoFar > argv.maxErrors) {
+        throw new Error(`${rejectedSoFar} rejected rows exceed --max-errors ${argv.maxErrors}`);
+      }
+    };
+
+    // Columns upsert, sync and scd2 match rows by
+    const getKeyColumns = (tableConfig) => argv.key ?? tableConfig
+      .filter(c => c.primary && !c.skip)
+      .map(c => c.sqlColumn);
+    const mergesByKey = !argv.truncate && argv.mode !== 'append';
+
+    // Besides the rows read, the config hash covers how they reach the target:
+    // the mode and key, the lineage values of "$extraColumns" other than the
+    // import id and time, and the target's columns, so changing any of them
+    // or the table itself makes the next import load the file again
+    const getConfigSha256 = async (file, sheetData, tableName) => {
+      const { columns, tableConfig, sheetName } = sheetData;
+      const lineageValues = { $source_file: file.fileName, $sheet_name: sheetName };
+      return sha256Text(JSON.stringify({
+        columns,
+        tableConfig,
+        ...importSettings,
+        mode: argv.truncate ? 'truncate' : argv.mode,
+        keyColumns: mergesByKey ? getKeyColumns(tableConfig) : [],
+        schemaEvolution: argv.schemaEvolution,
+        closeMissing: argv.closeMissing,
+        lineage: tableConfig
+          .filter(c => c.extraColumn?.lineage in lineageValues)
+          .map(c => [c.sqlColumn, lineageValues[c.extraColumn.lineage]]),
+        targetColumns: await getTableColumns(tableName)
+      }));
+    };
+
+    // Runs the full parse, transform and validate path and reports what an import would do
+    const previewSheet = async (sheetData) => {
+      const { columns, summary, tableConfig, sheetName, tableName: sheetTableName, rejects } = sheetData;
+      const tableName = sheetTableName || argv.table;
+
+      console.log(`\n🧪 [${new Date().toISOString()}] Dry run for '${sheetName}' → ${tableName}`);
+      console.log('\nGenerated DDL:');
+      getCreateTableStatements(tableName, columns, tableConfig, moment().format('YYYYMMDDHHMMSS'), { id: stagingId, primaryKey: !mergesByKey })
+        .forEach(query => console.log(formatStatement(query)));
+
+      const stats = createColumnStats(columns);
+      for await (const row of sheetData.rows()) {
+        addRowToStats(stats, row);
+      }
+      console.log(`\n📊 Column statistics (${stats.rows} valid rows):`);
+      formatColumnStats(stats).forEach(line => console.log(`   ${line}`));
+      currentFile.validRows += stats.rows;
+
+      reportRejects(sheetName, rejects, summary.skippedRows);
+      rejectedRows += summary.skippedRows;
+
+      if (argv.compareSchema) {
+        const schemaDiff = await previewSchemaDiff(tableName, columns, tableConfig, { mode: argv.truncate ? 'truncate' : argv.mode });
+        if (!schemaDiff) {
+          console.log(`\n🧬 ${tableName} does not exist yet and would be created`);
+        } else {
+          const changes = formatSchemaDiff(schemaDiff);
+          console.log(`\n🧬 Schema differences for ${tableName}: ${changes.length ? '' : 'none'}`);
+          changes.forEach(line => console.log(`   ${line}`));
+        }
+      }
+    };
+
+    // Loads a sheet into its staging table. Returns null when the sheet is
+    // skipped because the target already holds the same rows.
+    const stageSheet = async (sheetData) => {
+      const file = currentFile;
+      const { columns, summary, tableConfig, sheetName, tableName: sheetTableName, rejects } = sheetData;
+
+      // CSV files have no sheets and go straight into the target table
+      const tableName = sheetTableName || argv.table;
+
+      // Skip the sheet before anything is created when the same file was last
+      // imported into the target with the same config
+      let state = null;
+      let configSha256 = null;
+      if (skipIfUnchanged) {
+        configSha256 = await getConfigSha256(file, sheetData, tableName);
+        state = await getImportState(argv.stateTable, tableName);
+        if (state && state.file_sha256 === file.fileSha256 && state.config_sha256 === configSha256) {
+          console.log(`\n⏭️ [${new Date().toISOString()}] Skipping '${sheetName}': the file is unchanged since it was imported into ${tableName} at ${state.imported_at.toISOString()}`);
+          return null;
+        }
+      }
+
+      await lockTable(tableName);
+
+      // The files of a batch are combined, so they must agree on the columns
+      const [firstPart] = stagedTables.get(tableName) || [];
+      if (firstPart && JSON.stringify(firstPart.columns) !== JSON.stringify(columns)) {
+        throw new Error(`Cannot load '${sheetName}' into ${tableName} together with ${firstPart.file.fileName}: columns differ`);
+      }
+      const part = (partCounts.get(tableName) || 0) + 1;
+      partCounts.set(tableName, part);
+
+      // 4. Create temporary table with timestamp-suffixed indexes
+      const timestamp = moment().format('YYYYMMDDHHMMSS');
+      const { tmpTableName } = await createTempTable(tableName, columns, tableConfig, timestamp, { id: stagingId, part, primaryKey: !mergesByKey });
+      // 5. Stream the rows into the temporary table in batches
+      console.log(`\nInserting data (${argv.loadMethod})...`);
+      const loadBatch = argv.loadMethod === 'copy' ? copyBatch : insertBatch;
+      let insertedRows = 0;
+      const startTime = Date.now();
+      const progressBar = new cliProgress.SingleBar({
+        format: `   ${sheetName} [{bar}] {percentage}% | {rows} rows | {speed} rows/s`,
+        hideCursor: true
+      }, cliProgress.Presets.shades_classic);
+      progressBar.start(sheetData.progress.total, 0, { rows: 0, speed: 0 });
+      const rowsHash = createRowsHash(columns);
+      // The import id and time change on every run and would defeat the content hash
+      const hashedColumns = columns.map(col => !tableConfig.find(c => c.sqlColumn === col)?.runSpecific);
+
+      try {
+        for await (const batch of batchRows(sheetData.rows(), argv.batchSize)) {
+          await loadBatch(tmpTableName, columns, batch);
+          batch.forEach(row => rowsHash.update(`\n${JSON.stringify(row.filter((_, idx) => hashedColumns[idx]))}`));
           insertedRows += batch.length;
+          const speed = Math.round(insertedRows / Math.max((Date.now() - startTime) / 1000, 0.001));
+          progressBar.setTotal(sheetData.progress.total);
+          progressBar.update(sheetData.progress.value, { rows: insertedRows, speed });
+          // Give up early instead of loading the rest of a bad file
+          checkMaxErrors(rejectedRows + summary.skippedRows);
         }
+        checkMaxErrors(rejectedRows + summary.skippedRows);
+      } catch (error) {
+        progressBar.stop();
+        reportRejects(sheetName, rejects, summary.skippedRows);
+        await dropTable(tmpTableName);
+        throw error;
+      }
+      progressBar.stop();
+      const loadSeconds = (Date.now() - startTime) / 1000;
+      const rowsPerSecond = Math.round(insertedRows / Math.max(loadSeconds, 0.001));
+      console.log(`🚀 [${new Date().toISOString()}] Loaded ${insertedRows} rows in ${loadSeconds.toFixed(2)}s (${rowsPerSecond} rows/s)`);
+
+      // Rows with an empty or repeated key cannot be merged and are rejected too
+      const keyColumns = getKeyColumns(tableConfig);
+      if (mergesByKey && keyColumns.length > 0 && keyColumns.every(k => columns.includes(k))) {
+        try {
+          const keyRejects = await removeKeyRejects(tmpTableName, keyColumns);
+          rejects.push(...keyRejects);
+          summary.skippedRows += keyRejects.length;
+          insertedRows -= keyRejects.length;
+          checkMaxErrors(rejectedRows + summary.skippedRows);
+        } catch (error) {
+          reportRejects(sheetName, rejects, summary.skippedRows);
+          await dropTable(tmpTableName);
+          throw error;
+        }
+      }
 
-        // 6 & 7. Handle table swap based on truncate option
+      // Rejected rows are reported before the target table is touched
+      reportRejects(sheetName, rejects, summary.skippedRows);
+      rejectedRows += summary.skippedRows;
+
+      // A re-saved file with the same rows does not need to touch the target either
+      const importState = { fileName: file.fileName, fileSha256: file.fileSha256, configSha256, contentSha256: rowsHash.digest('hex') };
+      if (state && state.config_sha256 === configSha256 && state.content_sha256 === importState.contentSha256) {
+        console.log(`\n⏭️ [${new Date().toISOString()}] Skipping '${sheetName}': the rows are unchanged since they were imported into ${tableName} at ${state.imported_at.toISOString()}`);
+        await dropTable(tmpTableName);
+        // Remember the new file hash so the next run skips before reading the rows
+        await saveImportState(argv.stateTable, tableName, importState);
+        await unlockTable(tableName);
+        return null;
+      }
+
+      return { file, sheetData, tableName, tmpTableName, columns, insertedRows, loadSeconds, startTime, importState };
+    };
+
+    // Swaps the staged sheets bound for one table into it in a single
+    // transaction, then reports, audits and notifies
+    const swapStagedParts = async (tableName, parts) => {
+      const [first, ...rest] = parts;
+      const loaded = [first];
+      for (const part of rest) {
+        try {
+          await appendStagedRows(part.tmpTableName, first.tmpTableName, first.columns);
+          loaded.push(part);
+        } catch (error) {
+          await dropTable(part.tmpTableName);
+          await writeAudit({ startedAt: part.startedAt, file: part.file, sheetData: part.sheetData, status: 'failed', error });
+          error.audited = true;
+          if (!isolateFailures) {
+            throw error;
+          }
+          console.error(`\n❌ [${new Date().toISOString()}] ${part.file.fileName} is left out of ${tableName}: ${error.message}`);
+          failFile(part.file, error);
+        }
+      }
+      const { tableConfig } = first.sheetData;
+      const sum = values => values.reduce((total, value) => total + (value || 0), 0);
+      const validRows = sum(loaded.map(part => part.insertedRows));
+      // The keys of rejected rows and of files left out of the batch are
+      // missing from the staging table as well, so removing missing keys would
+      // remove their rows from the target
+      const rejectedInTable = sum(loaded.map(part => part.sheetData.summary.skippedRows));
+      const leftOutFiles = files.filter(file => file.status === 'failed').length;
+      const keepMissing = (rejectedInTable > 0 || leftOutFiles > 0) && !argv.forceDeleteMissing;
+      // Written to the table comment and shown by list-versions
+      const versioning = {
+        keepVersions: argv.keepVersions,
+        metadata: {
+          importId: lineage.importId,
+          importedAt: lineage.importedAt,
+          files: [...new Set(loaded.map(part => part.file.fileName))],
+          sheets: [...new Set(loaded.filter(part => !part.file.isCSV).map(part => part.sheetData.sheetName))],
+          rows: validRows,
+          mode: argv.truncate ? 'truncate' : argv.mode,
+          toolVersion: TOOL_VERSION
+        }
+      };
+
+      // 6 & 7. Handle table swap based on truncate option
+      let counts;
+      try {
         if (argv.truncate) {
-          console.log('\nSwapping tables...');
-          await swapTables(tmpTableName, tableName, true);
+          console.log(`\nSwapping tables (${argv.swapStrategy})...`);
+          counts = await swapTables(first.tmpTableName, tableName, true, {
+            swapStrategy: argv.swapStrategy,
+            truncateCascade: argv.truncateCascade,
+            schemaEvolution: argv.schemaEvolution,
+            ...versioning
+          });
         } else {
-          console.log('\nMerging data...');
-          await swapTables(tmpTableName, tableName, false);
+          console.log(`\nMerging data (${argv.mode})...`);
+          const keyColumns = getKeyColumns(tableConfig);
+          const unknownKeys = keyColumns.filter(k => !first.columns.includes(k));
+          if (unknownKeys.length > 0) {
+            throw new Error(`Key columns not found in ${tableName}: ${unknownKeys.join(', ')}`);
+          }
+          counts = await swapTables(first.tmpTableName, tableName, false, {
+            mode: argv.mode,
+            keyColumns,
+            createKeyIndex: argv.createKeyIndex,
+            schemaEvolution: argv.schemaEvolution,
+            // scd2 versions are valid from the start of the run; lineage
+            // columns describe the load, not the record, so a new file name
+            // or import id does not make a row a new version
+            effectiveAt: lineage.importedAt,
+            closeMissing: argv.closeMissing,
+            keepMissing,
+            hashExcludedColumns: tableConfig.filter(c => c.extraColumn?.lineage).map(c => c.sqlColumn),
+            ...versioning
+          });
+        }
+      } catch (error) {
+        for (const part of loaded) {
+          await writeAudit({ startedAt: part.startedAt, file: part.file, sheetData: part.sheetData, status: 'failed', error });
         }
+        error.audited = true;
+        throw error;
+      }
+
+      if (counts.keptMissing) {
+        const [kept, action] = argv.mode === 'scd2'
+          ? ['Left the current versions of keys missing from the file open in', 'close']
+          : ['Kept the rows whose key is missing from the file in', 'delete'];
+        console.warn(`⚠️ [${new Date().toISOString()}] ${kept} ${tableName}, since ${rejectedInTable} rows were rejected${leftOutFiles ? ` and ${leftOutFiles} files left out` : ''}. Fix the rejects or pass --force-delete-missing to ${action} them`);
+      }
+      if (counts.backupTable) {
+        console.log(`🗄️ [${new Date().toISOString()}] Kept the previous version of ${tableName} as ${counts.backupTable}`);
+      }
+      if (counts.droppedVersions?.length > 0) {
+        console.log(`🧹 [${new Date().toISOString()}] Dropped versions beyond the newest ${argv.keepVersions}: ${counts.droppedVersions.join(', ')}`);
+      }
+
+      const loadSeconds = sum(loaded.map(part => part.loadSeconds));
+      const { inserted = validRows, updated = 0, deleted = 0, schemaDiff } = counts;
+      const fileCount = new Set(loaded.map(part => part.file)).size;
 
-        const summaryData = {
-          inputFile: path.basename(argv.inputFile),
-          tableName: tableName,
-          totalRows: totalRows + emptyRows + skippedRows,
-          validRows: insertedRows,
-          emptyRows,
-          skippedRows,
-          duration: ((Date.now() - startTime) / 1000).toFixed(2),
-          sheetName: sheetId
-        };
+      const summaryData = {
+        inputFile: fileCount > 1 ? `${fileCount} files` : first.file.fileName,
+        tableName: tableName,
+        totalRows: sum(loaded.map(part => part.sheetData.summary.totalRows)),
+        validRows,
+        emptyRows: sum(loaded.map(part => part.sheetData.summary.emptyRows)),
+        skippedRows: sum(loaded.map(part => part.sheetData.summary.skippedRows)),
+        duration: ((Date.now() - first.startTime) / 1000).toFixed(2),
+        sheetName: loaded.length === 1 && !first.file.isCSV ? first.sheetData.sheetName : null,
+        rejectSummary: summarizeRejects(loaded.flatMap(part => part.sheetData.rejects)),
+        loadMethod: argv.loadMethod,
+        rowsPerSecond: Math.round(validRows / Math.max(loadSeconds, 0.001)),
+        mode: argv.truncate ? 'truncate' : argv.mode,
+        inserted,
+        updated,
+        deleted,
+        schemaChanges: schemaDiff ? formatSchemaDiff(schemaDiff) : [],
+        backupTable: counts.backupTable,
+        // Per-file breakdown of a batch
+        ...(isBatch && {
+          files: loaded.map(part => ({
+            fileName: part.file.fileName,
+            sheetName: part.file.isCSV ? null : part.sheetData.sheetName,
+            validRows: part.insertedRows,
+            skippedRows: part.sheetData.summary.skippedRows
+          }))
+        })
+      };
 
-        const successMessage = `✅ Successfully imported ${insertedRows} rows into ${tableName}`;
-        console.log(`\n${successMessage}`);
-        await sendSlackNotification(argv.slackNotifyUrl, successMessage, summaryData);
+      if (skipIfUnchanged) {
+        // The import may have changed the target's columns
+        const configSha256 = await getConfigSha256(first.file, first.sheetData, tableName);
+        await saveImportState(argv.stateTable, tableName, { ...first.importState, configSha256 });
+      } else {
+        // The rows remembered for the table are no longer the ones in it
+        await clearImportState(argv.stateTable, tableName);
       }
-    )
+
+      const successMessage = `✅ Successfully imported ${validRows} rows ${fileCount > 1 ? `from ${fileCount} files ` : ''}into ${tableName} (${inserted} inserted, ${updated} updated, ${deleted} deleted)`;
+      console.log(`\n${successMessage}`);
+      await sendSlackNotification(slackNotifyUrl, successMessage, summaryData);
+
+      for (const part of loaded) {
+        part.file.validRows += part.insertedRows;
+        // Inserted, updated and deleted counts are only known for the table as a whole
+        const partSummary = loaded.length === 1 ? summaryData : { validRows: part.insertedRows };
+        await writeAudit({ startedAt: part.startedAt, file: part.file, sheetData: part.sheetData, summaryData: partSummary, status: 'success' });
+      }
+    };
+
+    const publishTable = async (tableName, parts) => {
+      try {
+        await swapStagedParts(tableName, parts);
+      } finally {
+        await unlockTable(tableName);
+      }
+    };
+
+    // Stages a sheet and, unless its file is part of a batch, swaps it in right
+    // away. Every sheet is recorded in the audit table, whatever its outcome.
+    const importSheet = async (sheetData) => {
+      const startedAt = new Date();
+      let part;
+      try {
+        part = await stageSheet(sheetData);
+      } catch (error) {
+        await writeAudit({ startedAt, file: currentFile, sheetData, status: 'failed', error });
+        error.audited = true;
+        throw error;
+      }
+      if (!part) {
+        await writeAudit({ startedAt, file: currentFile, sheetData, status: 'skipped' });
+        return;
+      }
+      part.startedAt = startedAt;
+      if (isBatch) {
+        stagedTables.set(part.tableName, [...(stagedTables.get(part.tableName) || []), part]);
+        return;
+      }
+      try {
+        await publishTable(part.tableName, [part]);
+      } catch (error) {
+        // The swap rolled back, leaving the staging table behind
+        await dropStagingTable(part.tmpTableName);
+        throw error;
+      }
+    };
+
+    const handleSheet = argv.dryRun ? previewSheet : importSheet;
+    for (const [idx, file] of files.entries()) {
+      currentFile = file;
+      // --max-errors applies to each file on its own
+      rejectedRows = 0;
+      const fileStartedAt = new Date();
+      try {
+        if (isBatch) {
+          console.log(`\n📄 [${new Date().toISOString()}] Reading ${file.fileName} (${idx + 1}/${files.length})`);
+        }
+        if (auditTable || skipIfUnchanged) {
+          file.fileSha256 = await sha256File(file.filePath);
+          console.log(`#️⃣ [${new Date().toISOString()}] File sha256: ${file.fileSha256}`);
+        }
+
+        if (file.isCSV) {
+          await parseAndTransformCSV(
+            file.filePath,
+            argv.tableConfig,
+            argv.timezone,
+            { ...csvOptions, layout, lineage },
+            handleSheet
+          );
+        } else {
+          await parseAndTransformXLSXAllSheets(
+            file.filePath,
+            argv.tableConfig,
+            argv.timezone,
+            handleSheet,
+            {
+              table: argv.table,
+              sheetNames,
+              sheetIndexes,
+              unionSheets: argv.unionSheets,
+              layout,
+              lineage
+            }
+          );
+        }
+
+        if (argv.dryRun) {
+          // A dry run reads the whole file, then fails the same way the import would
+          checkMaxErrors(rejectedRows);
+        }
+        file.status = isBatch && !argv.dryRun ? 'staged' : 'success';
+      } catch (error) {
+        failFile(file, error);
+        // Failures outside a sheet, e.g. an unreadable file, are recorded too
+        if (!error.audited) {
+          await writeAudit({ startedAt: fileStartedAt, file, status: 'failed', error });
+          error.audited = true;
+        }
+        if (!isolateFailures) {
+          throw error;
+        }
+        console.error(`\n❌ [${new Date().toISOString()}] ${file.fileName} failed, continuing without it: ${error.message}`);
+        await discardStagedParts(part => part.file === file, error);
+      } finally {
+        file.rejectedRows = rejectedRows;
+      }
+    }
+    currentFile = null;
+
+    if (isBatch && !argv.dryRun) {
+      for (const [tableName, parts] of stagedTables) {
+        if (parts.length === 0) {
+          continue;
+        }
+        try {
+          await publishTable(tableName, parts);
+          publishedTables.push(tableName);
+        } catch (error) {
+          parts.forEach(part => failFile(part.file, error));
+          if (!isolateFailures) {
+            throw error;
+          }
+          console.error(`\n❌ [${new Date().toISOString()}] Could not import into ${tableName}: ${error.message}`);
+          for (const part of parts) {
+            await dropTable(part.tmpTableName);
+          }
+        }
+        stagedTables.delete(tableName);
+      }
+      files.filter(file => file.status === 'staged').forEach(file => {
+        file.status = 'success';
+      });
+    }
+
+    if (isBatch) {
+      console.log(`\n📁 Files:`);
+      files.forEach(file => {
+        const outcome = file.status === 'failed'
+          ? file.error.message
+          : `${file.validRows} valid rows, ${file.rejectedRows} rejected`;
+        console.log(`   ${file.status === 'failed' ? '❌' : '✅'} ${file.fileName}: ${outcome}`);
+      });
+      if (!argv.dryRun) {
+        console.log(`🗂️ Imported into: ${publishedTables.join(', ') || 'no tables'}`);
+      }
+    }
+
+    if (argv.dryRun) {
+      const wouldReject = files.reduce((total, file) => total + file.rejectedRows, 0);
+      console.log(`\n✅ Dry run finished, ${wouldReject} rows would be rejected. Nothing was written to the database`);
+    }
+
+    saveRejects();
+    moveProcessedFiles();
+
+    // Isolated failures leave the other files imported but still fail the run
+    const failedFiles = files.filter(file => file.status === 'failed');
+    if (failedFiles.length > 0) {
+      const published = publishedTables.length > 0 ? `. Imported into ${publishedTables.join(', ')}` : '';
+      const errorMessage = `❌ ${failedFiles.length} of ${files.length} files failed: ${failedFiles.map(file => file.fileName).join(', ')}${published}`;
+      console.error(`\n${errorMessage}`);
+      await sendSlackNotification(slackNotifyUrl, errorMessage);
+      process.exitCode = 1;
+    }
 
   } catch (error) {
-    const errorMessage = `❌ Error importing data: ${error.message}`;
+    if (!error.audited) {
+      await writeAudit({ startedAt: runStartedAt, file: currentFile, status: 'failed', error });
+    }
+    const failedFile = isBatch && currentFile ? ` from ${currentFile.fileName}` : '';
+    // Nothing more of a batch reaches the target tables once a file fails
+    if (isBatch && stagedTables.size > 0) {
+      try {
+        await discardStagedParts(() => true, new Error(`Rolled back after an error${failedFile}: ${error.message}`));
+        console.error(`\n↩️ [${new Date().toISOString()}] Rolled back the staged files`);
+      } catch (dropError) {
+        console.warn(`⚠️ [${new Date().toISOString()}] Could not drop the staging tables: ${dropError.message}`);
+      }
+    }
+    const published = publishedTables.length > 0 ? `. ${publishedTables.join(', ')} had already been imported and keep the new rows` : '';
+    const errorMessage = `❌ Error importing data${failedFile}: ${error.message}${published}`;
     console.error(`\n${errorMessage}`);
-    await sendSlackNotification(argv.slackNotifyUrl, errorMessage);
-    process.exit(1);
+    saveRejects();
+    moveProcessedFiles();
+    await sendSlackNotification(slackNotifyUrl, errorMessage);
+    process.exitCode = 1;
   } finally {
+    for (const tableName of [...tableLocks.keys()]) {
+      await unlockTable(tableName);
+    }
     await closeDB();
   }
 }
 
+async function main() {
+  await yargs(hideBin(process.argv))
+    .scriptName('xlsx_to_psql')
+    .command('$0', 'Import an Excel or CSV file into a PostgreSQL table', importOptions, runImport)
+    .command('init-config', 'Write a table config by inferring column types from a sample of the file', initConfigOptions, runInitConfig)
+    .command('watch <dir>', 'Watch a folder and import files as they arrive, routed by file name', watchOptions, runWatch)
+    .command('list-versions', 'List a table and the previous versions kept by --keep-versions', listVersionsOptions, runListVersions)
+    .command('rollback', 'Put a previous version of a table back in place', rollbackOptions, runRollback)
+    .parseAsync();
+}
+
 main(); 
\ No newline at end of file
@@ -0,0 +1,103 @@
+import { describe, test, expect, vi } from 'vitest';
+import { insertAuditRecord } from '../lib/db.mjs';
+import { getAuditOptions, createAuditRecord, writeAuditRecord } from '../lib/audit.mjs';
+
+vi.mock('../lib/db.mjs', () => ({ insertAuditRecord: vi.fn() }));
+
+const argv = {
+  _: ['import'],
+  $0: 'xlsx_to_psql',
+  table: 'sales.orders',
+  'table-config': 'orders.json',
+  tableConfig: 'orders.json',
+  mode: 'upsert',
+  truncate: false,
+  slackNotifyUrl: 'https://hooks.slack.com/secret'
+};
+const run = { argv, importId: '3f0c9d1e-0000-4000-8000-000000000000', toolVersion: '2.1.0' };
+const file = { fileName: 'orders.xlsx', fileSha256: 'abc123' };
+const startedAt = new Date('2024-06-01T09:30:00.000Z');
+const finishedAt = new Date('2024-06-01T09:30:02.500Z');
+
+describe('getAuditOptions', () => {
+  test('should keep the options as given without yargs internals and the Slack webhook', () => {
+    expect(getAuditOptions(argv)).toEqual({ table: 'sales.orders', tableConfig: 'orders.json', mode: 'upsert', truncate: false });
+  });
+});
+
+describe('createAuditRecord', () => {
+  test('should record the sheet, its counts and the rows that reached the target', () => {
+    const sheetData = { sheetName: 'Orders', tableName: 'sales.orders_sheet1', summary: { totalRows: 12, emptyRows: 1, skippedRows: 2 } };
+    const summaryData = { validRows: 9, inserted: 4, updated: 5, deleted: 0 };
+
+    expect(createAuditRecord({ run, startedAt, finishedAt, file, sheetData, summaryData, status: 'success' })).toEqual({
+      started_at: startedAt,
+      finished_at: finishedAt,
+      duration_seconds: 2.5,
+      status: 'success',
+      error_message: undefined,
+      file_name: 'orders.xlsx',
+      file_sha256: 'abc123',
+      sheet_name: 'Orders',
+      target_table: 'sales.orders_sheet1',
+      mode: 'upsert',
+      total_rows: 12,
+      valid_rows: 9,
+      empty_rows: 1,
+      skipped_rows: 2,
+      inserted_rows: 4,
+      updated_rows: 5,
+      deleted_rows: 0,
+      options: { table: 'sales.orders', tableConfig: 'orders.json', mode: 'upsert', truncate: false },
+      tool_version: '2.1.0',
+      import_id: run.importId
+    });
+  });
+
+  test('should record the error of a failed sheet without target counts', () => {
+    const sheetData = { sheetName: 'data.csv', summary: { totalRows: 3, emptyRows: 0, skippedRows: 3 } };
+    const record = createAuditRecord({
+      run: { ...run, argv: { ...argv, truncate: true } },
+      startedAt,
+      finishedAt,
+      file,
+      sheetData,
+      status: 'failed',
+      error: new Error('3 rejected rows exceed --max-errors 0')
+    });
+
+    expect(record).toMatchObject({
+      status: 'failed',
+      error_message: '3 rejected rows exceed --max-errors 0',
+      sheet_name: 'data.csv',
+      target_table: 'sales.orders',
+      mode: 'truncate',
+      total_rows: 3,
+      skipped_rows: 3
+    });
+    expect([record.valid_rows, record.inserted_rows, record.updated_rows, record.deleted_rows]).toEqual([undefined, undefined, undefined, undefined]);
+  });
+
+  test('should record failures before any sheet is read without a sheet or table', () => {
+    const record = createAuditRecord({ run, startedAt, finishedAt, status: 'failed', error: new Error("Sheet 'Q3' not found") });
+    expect(record).toMatchObject({ status: 'failed', error_message: "Sheet 'Q3' not found", file_name: undefined, sheet_name: undefined, target_table: null });
+  });
+});
+
+describe('writeAuditRecord', () => {
+  test('should insert the record into the audit table', async () => {
+    insertAuditRecord.mockResolvedValueOnce();
+    const record = { status: 'success' };
+    await writeAuditRecord('etl.import_log', record);
+    expect(insertAuditRecord).toHaveBeenCalledWith('etl.import_log', record);
+  });
+
+  test('should only warn when the audit table cannot be written', async () => {
+    const warn = vi.spyOn(console, 'warn').mockImplementation(() => {});
+    insertAuditRecord.mockRejectedValueOnce(new Error('permission denied for table import_log'));
+
+    await expect(writeAuditRecord('etl.import_log', { status: 'failed' })).resolves.toBeUndefined();
+    expect(warn).toHaveBeenCalledWith(expect.stringContaining('Could not write to audit table etl.import_log: permission denied for table import_log'));
+    warn.mockRestore();
+  });
+});
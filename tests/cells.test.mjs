@@ -0,0 +1,78 @@
+import { describe, test, expect } from 'vitest';
+import XLSX from 'xlsx';
+import { getCellReadOptions, getCompanionConfigs, getCellValue, createFillDown } from '../lib/cells.mjs';
+import { parseAndTransformXLSX } from '../lib/xlsx.mjs';
+
+function sheetWithMergedRegion() {
+  const worksheet = XLSX.utils.aoa_to_sheet([
+    ['Region', 'Branch', 'Sales'],
+    ['North', 'N1', 10],
+    [null, 'N2', 20],
+    [null, 'N3', 30],
+    ['South', 'S1', 5]
+  ]);
+  worksheet['!merges'] = [{ s: { r: 1, c: 0 }, e: { r: 3, c: 0 } }];
+  return worksheet;
+}
+
+describe('merged cells and fill down', () => {
+  test('should leave merged cells empty by default', async () => {
+    const result = await parseAndTransformXLSX(sheetWithMergedRegion(), {}, 'UTC');
+    expect(result.transformedData.map(row => row[0])).toEqual(['North', null, null, 'South']);
+  });
+
+  test('should fill merged cells from the top-left cell', async () => {
+    const result = await parseAndTransformXLSX(sheetWithMergedRegion(), { Region: { fillMerged: true } }, 'UTC');
+    expect(result.transformedData.map(row => row[0])).toEqual(['North', 'North', 'North', 'South']);
+  });
+
+  test('should fill blank cells with the value above, skipping blank rows', () => {
+    const fillDown = createFillDown([{ fillDown: true }, {}]);
+    expect(fillDown([null, 1])).toEqual([null, 1]);
+    expect(fillDown(['A', 2])).toEqual(['A', 2]);
+    expect(fillDown(['', 3])).toEqual(['A', 3]);
+    expect(fillDown(['B', null])).toEqual(['B', null]);
+  });
+});
+
+describe('cell values and details', () => {
+  const cell = { t: 'n', v: 1234.5, w: '1,234.50', f: 'SUM(B2:B3)', z: '#,##0.00', c: [{ a: 'Ann', t: 'Checked' }] };
+  const link = { t: 's', v: 'Docs', l: { Target: 'https://example.com/docs' } };
+
+  test('should pick the value, formatted text or formula', () => {
+    expect(getCellValue(cell, {})).toBe(1234.5);
+    expect(getCellValue(cell, { cellValue: 'text' })).toBe('1,234.50');
+    expect(getCellValue(cell, { cellValue: 'formula' })).toBe('=SUM(B2:B3)');
+    expect(getCellValue({ t: 'n', v: 7 }, { cellValue: 'formula' })).toBe(7);
+  });
+
+  test('should keep the display text when the URL has its own column', () => {
+    expect(getCellValue(link, {})).toBe('https://example.com/docs');
+    expect(getCellValue(link, { hyperlinkColumn: 'docs_url' })).toBe('Docs');
+  });
+
+  test('should add companion columns after the sheet columns', async () => {
+    const worksheet = XLSX.utils.aoa_to_sheet([['Total', 'Link'], [null, null]]);
+    worksheet.A2 = cell;
+    worksheet.B2 = link;
+    const config = {
+      Total: { fieldType: 'number', formulaColumn: 'total_formula', commentColumn: 'total_comment', numberFormatColumn: 'total_format' },
+      Link: { hyperlinkColumn: 'link_url' }
+    };
+
+    const result = await parseAndTransformXLSX(worksheet, config, 'UTC');
+    expect(result.columns).toEqual(['Total', 'Link', 'total_formula', 'total_comment', 'total_format', 'link_url']);
+    expect(result.transformedData).toEqual([
+      [1234.5, 'Docs', '=SUM(B2:B3)', 'Checked', '#,##0.00', 'https://example.com/docs']
+    ]);
+  });
+
+  test('should only read formatted text when asked', () => {
+    expect(getCellReadOptions({ Total: { fieldType: 'number' } })).toEqual({ cellText: false });
+    expect(getCellReadOptions({ Total: { cellValue: 'text' }, Amount: { numberFormatColumn: 'fmt' } })).toEqual({ cellText: true });
+  });
+
+  test('should reject unknown cell values', () => {
+    expect(() => getCompanionConfigs([{ header: 'Total', cellValue: 'html' }])).toThrow("Unknown cellValue 'html'");
+  });
+});
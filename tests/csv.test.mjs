@@ -0,0 +1,55 @@
+import { describe, test, expect } from 'vitest';
+import path from 'path';
+import { fileURLToPath } from 'url';
+import { parseCSV } from '../lib/csv.mjs';
+
+const __filename = fileURLToPath(import.meta.url);
+const __dirname = path.dirname(__filename);
+
+describe('parseCSV', () => {
+  test('should honour delimiter, quotes and the UTF-8 BOM', async () => {
+    const { columns, transformedData, summary, rejects } = await parseCSV(
+      path.join(__dirname, 'csv-parser-tester.csv'),
+      { Amount: { fieldType: 'number' }, Joined: { fieldType: 'timestamp' } },
+      'Asia/Kolkata',
+      { delimiter: ';' }
+    );
+
+    expect(columns).toEqual(['Name', 'Amount', 'Joined']);
+    expect(transformedData).toEqual([
+      ['Smith; John', 1200.5, '2024-01-15T04:00:00.000Z']
+    ]);
+    expect(summary.totalRows).toBe(3);
+    expect(summary.emptyRows).toBe(1);
+    expect(summary.skippedRows).toBe(1);
+    expect(rejects).toEqual([
+      { row: 4, column: 'Amount', value: 'abc', reason: 'Invalid number' }
+    ]);
+  });
+
+  test('should reject rows missing a notNull column', async () => {
+    const { transformedData, rejects } = await parseCSV(
+      path.join(__dirname, 'csv-parser-tester.csv'),
+      { Joined: { notNull: true } },
+      'Asia/Kolkata',
+      { delimiter: ';' }
+    );
+
+    expect(transformedData).toHaveLength(1);
+    expect(rejects).toEqual([
+      { row: 4, column: 'Joined', value: null, reason: 'Value is required (notNull)' }
+    ]);
+  });
+
+  test('should name columns by position in no-header mode', async () => {
+    const { columns, transformedData } = await parseCSV(
+      path.join(__dirname, 'csv-parser-tester.csv'),
+      null,
+      'Asia/Kolkata',
+      { delimiter: ';', header: false }
+    );
+
+    expect(columns).toEqual(['Column1', 'Column2', 'Column3']);
+    expect(transformedData[0]).toEqual(['Name', 'Amount', 'Joined']);
+  });
+});
@@ -0,0 +1,514 @@
+import { describe, test, expect, vi, beforeEach } from 'vitest';
+import {
+  initializeDB, diffColumns, formatSchemaDiff, getTempTableName, getBackupTableName, parseImportMetadata,
+  getUpsertQuery, getDeleteMissingQuery, removeKeyRejects, swapTables, serializeValue, getInsertQuery, formatCopyLine,
+  insertAuditRecord, rollbackTable, listTableVersions, clearImportState, acquireTableLock, releaseTableLock,
+  dropOrphanedTempTables
+} from '../lib/db.mjs';
+
+// A stand-in for the pg pool that records every query and answers them with
+// the first matching [pattern, result] of database.answers
+const database = vi.hoisted(() => ({ queries: [], answers: [] }));
+
+vi.mock('pg', () => {
+  const query = async (text, params) => {
+    const sql = text.replace(/\s+/g, ' ').trim();
+    database.queries.push({ sql, params });
+    const answer = database.answers.find(([pattern]) => pattern.test(sql));
+    const result = typeof answer?.[1] === 'function' ? answer[1](sql, params) : answer?.[1];
+    return { rows: [], rowCount: 0, ...result };
+  };
+  class Pool {
+    async connect() {
+      return { query, release() {} };
+    }
+    query(text, params) {
+      return query(text, params);
+    }
+  }
+  return { default: { Pool } };
+});
+
+function columnTypes(names) {
+  return { rows: names.map(name => ({ name, type: 'text' })) };
+}
+
+function executed(pattern) {
+  return database.queries.filter(({ sql }) => pattern.test(sql));
+}
+
+beforeEach(() => {
+  database.queries = [];
+  database.answers = [];
+  vi.spyOn(console, 'log').mockImplementation(() => {});
+  vi.spyOn(console, 'error').mockImplementation(() => {});
+  initializeDB('postgres://localhost/test');
+});
+
+describe('diffColumns', () => {
+  test('should match columns by name regardless of position', () => {
+    const source = [
+      { name: 'amount', type: 'numeric' },
+      { name: 'id', type: 'integer' },
+      { name: 'region', type: 'text' }
+    ];
+    const target = [
+      { name: 'id', type: 'numeric' },
+      { name: 'name', type: 'text' },
+      { name: 'amount', type: 'numeric' }
+    ];
+
+    const diff = diffColumns(source, target);
+    expect(diff).toEqual({
+      added: [{ name: 'region', type: 'text' }],
+      missing: [{ name: 'name', type: 'text' }],
+      typeChanged: [{ name: 'id', from: 'numeric', to: 'integer' }]
+    });
+    expect(formatSchemaDiff(diff)).toEqual([
+      '+ region (text)',
+      '- name (text)',
+      '~ id (numeric -> integer)'
+    ]);
+  });
+});
+
+describe('getTempTableName', () => {
+  test('should give each run and batch part its own staging table', () => {
+    expect(getTempTableName('sales.orders', { id: '1a2b3c4d' })).toBe('sales.orders_tmp_1a2b3c4d');
+    expect(getTempTableName('sales.orders', { id: '1a2b3c4d', part: 3 })).toBe('sales.orders_tmp_1a2b3c4d_3');
+  });
+
+  test('should keep long names within the identifier limit', () => {
+    const [, table] = getTempTableName(`sales.${'x'.repeat(70)}`, { id: '1a2b3c4d', part: 12 }).split('.');
+    expect(table.length).toBeLessThanOrEqual(63);
+    expect(table.endsWith('_tmp_1a2b3c4d_12')).toBe(true);
+  });
+
+  test('should keep long names apart that only differ after the cut', () => {
+    const prefix = `sales.branch_orders_${'x'.repeat(40)}`;
+    const north = getTempTableName(`${prefix}_north`, { id: '1a2b3c4d' });
+    const south = getTempTableName(`${prefix}_south`, { id: '1a2b3c4d' });
+    expect(north).not.toBe(south);
+    expect(getTempTableName(`${prefix}_NORTH`, { id: '1a2b3c4d' }).toLowerCase()).toBe(north);
+    expect(getBackupTableName(`${prefix}_north`, '20240601093000')).not.toBe(getBackupTableName(`${prefix}_south`, '20240601093000'));
+  });
+});
+
+describe('getBackupTableName', () => {
+  test('should name backups after the version they hold', () => {
+    expect(getBackupTableName('sales.orders', '20240601093000')).toBe('sales.orders__bak_20240601093000');
+  });
+
+  test('should keep long names within the identifier limit', () => {
+    const [, table] = getBackupTableName(`sales.${'x'.repeat(70)}`, '20240601093000').split('.');
+    expect(table.length).toBe(63);
+    expect(table.endsWith('__bak_20240601093000')).toBe(true);
+  });
+});
+
+describe('parseImportMetadata', () => {
+  test('should read the import details from a table comment', () => {
+    const comment = JSON.stringify({ xlsx_to_psql: { importId: 'abc', rows: 3 } });
+    expect(parseImportMetadata(comment)).toEqual({ importId: 'abc', rows: 3 });
+  });
+
+  test('should ignore comments written by others', () => {
+    expect(parseImportMetadata(null)).toBeNull();
+    expect(parseImportMetadata('Orders from the ERP')).toBeNull();
+    expect(parseImportMetadata('{"owner":"finance"}')).toBeNull();
+  });
+});
+
+describe('merging by key', () => {
+  test('should update only rows whose values changed', () => {
+    const sql = getUpsertQuery('sales.orders_tmp', 'sales.orders', ['id', 'name', 'amount'], ['id']).replace(/\s+/g, ' ');
+    expect(sql).toContain('INSERT INTO sales.orders AS target ("id", "name", "amount") SELECT "id", "name", "amount" FROM sales.orders_tmp');
+    expect(sql).toContain('ON CONFLICT ("id") DO UPDATE SET "name" = EXCLUDED."name", "amount" = EXCLUDED."amount"');
+    expect(sql).toContain('WHERE (target."name", target."amount") IS DISTINCT FROM (EXCLUDED."name", EXCLUDED."amount")');
+    expect(getUpsertQuery('sales.orders_tmp', 'sales.orders', ['id'], ['id'])).toContain('DO NOTHING');
+  });
+
+  test('should match empty keys when deleting missing rows', () => {
+    const sql = getDeleteMissingQuery('sales.orders_tmp', 'sales.orders', ['region', 'id']).replace(/\s+/g, ' ');
+    expect(sql).toContain('WHERE source."region" IS NOT DISTINCT FROM target."region" AND source."id" IS NOT DISTINCT FROM target."id"');
+  });
+
+  test('should report inserted, updated and deleted rows of a sync', async () => {
+    database.answers = [
+      [/information_schema\.tables/, { rows: [{ exists: true }] }],
+      [/format_type/, columnTypes(['id', 'name'])],
+      [/HAVING count/, { rows: [] }],
+      [/pg_index/, { rows: [{ exists: true }] }],
+      [/WITH upserted/, { rows: [{ inserted: '2', updated: '1' }] }],
+      [/^DELETE FROM sales\.orders /, { rowCount: 3 }]
+    ];
+
+    const counts = await swapTables('sales.orders_tmp', 'sales.orders', false, { mode: 'sync', keyColumns: ['id'] });
+    expect(counts).toMatchObject({ inserted: 2, updated: 1, deleted: 3 });
+    expect(executed(/CREATE UNIQUE INDEX/)).toHaveLength(0);
+    expect(executed(/^COMMIT$/)).toHaveLength(1);
+  });
+
+  test('should keep rows whose key is missing when the file had rejects', async () => {
+    database.answers = [
+      [/information_schema\.tables/, { rows: [{ exists: true }] }],
+      [/format_type/, columnTypes(['id', 'amount'])],
+      [/pg_index/, { rows: [{ exists: true }] }],
+      [/WITH upserted/, { rows: [{ inserted: '0', updated: '1' }] }]
+    ];
+
+    // The row with id 2 had an invalid amount, so only id 1 was staged
+    const counts = await swapTables('sales.orders_tmp', 'sales.orders', false, { mode: 'sync', keyColumns: ['id'], keepMissing: true });
+    expect(counts).toMatchObject({ inserted: 0, updated: 1, keptMissing: true });
+    expect(counts.deleted).toBeUndefined();
+    expect(executed(/^DELETE FROM sales\.orders /)).toHaveLength(0);
+  });
+
+  test('should ask for the unique index instead of creating it on an existing table', async () => {
+    database.answers = [
+      [/information_schema\.tables/, { rows: [{ exists: true }] }],
+      [/format_type/, columnTypes(['id', 'name'])],
+      [/pg_index/, { rows: [{ exists: false }] }]
+    ];
+
+    await expect(swapTables('sales.orders_tmp', 'sales.orders', false, { mode: 'upsert', keyColumns: ['id'] }))
+      .rejects.toThrow('sales.orders has no unique index on id, which merging by key needs. Create it with "CREATE UNIQUE INDEX uq_orders_id ON sales.orders ("id")" or pass --create-key-index');
+    expect(executed(/CREATE UNIQUE INDEX/)).toHaveLength(0);
+    expect(executed(/^ROLLBACK$/)).toHaveLength(1);
+
+    database.queries = [];
+    database.answers.push([/WITH upserted/, { rows: [{ inserted: '1', updated: '0' }] }]);
+    await swapTables('sales.orders_tmp', 'sales.orders', false, { mode: 'upsert', keyColumns: ['id'], createKeyIndex: true });
+    expect(executed(/CREATE UNIQUE INDEX uq_orders_id ON sales\.orders \("id"\)/)).toHaveLength(1);
+  });
+
+  test('should refuse keys that appear more than once', async () => {
+    database.answers = [
+      [/information_schema\.tables/, { rows: [{ exists: true }] }],
+      [/format_type/, columnTypes(['id', 'name'])],
+      [/HAVING count/, { rows: [{ id: '7' }] }]
+    ];
+
+    await expect(swapTables('sales.orders_tmp', 'sales.orders', false, { mode: 'upsert', keyColumns: ['id'] }))
+      .rejects.toThrow('Key {"id":"7"} appears more than once');
+    expect(executed(/WITH upserted/)).toHaveLength(0);
+  });
+
+  test('should take rows with empty or repeated keys out of the staging table as rejects', async () => {
+    database.answers = [
+      [/IS NULL/, { rows: [{ region: 'North', id: null }] }],
+      [/AS duplicate/, { rows: [{ region: 'South', id: '4' }, { region: 'South', id: '4' }] }]
+    ];
+
+    const rejects = await removeKeyRejects('sales.orders_tmp', ['region', 'id']);
+    expect(executed(/^DELETE FROM sales\.orders_tmp WHERE "region" IS NULL OR "id" IS NULL/)).toHaveLength(1);
+    expect(executed(/GROUP BY "region", "id" HAVING count\(\*\) > 1/)).toHaveLength(1);
+    expect(rejects).toEqual([
+      { row: null, column: 'region, id', value: 'North, ', reason: 'Key is empty' },
+      { row: null, column: 'region, id', value: 'South, 4', reason: 'Key appears more than once' },
+      { row: null, column: 'region, id', value: 'South, 4', reason: 'Key appears more than once' }
+    ]);
+  });
+});
+
+describe('load methods', () => {
+  const row = [
+    new Date('2024-01-15T10:30:00.000Z'),
+    true,
+    '9007199254740993',
+    'He said "hi"\nand left',
+    'first\n\\.\nlast',
+    null,
+    ''
+  ];
+
+  test('should serialize values the same way for INSERT and COPY', () => {
+    expect(row.map(serializeValue)).toEqual([
+      '2024-01-15T10:30:00.000Z', 'true', '9007199254740993', 'He said "hi"\nand left', 'first\n\\.\nlast', null, ''
+    ]);
+    expect(serializeValue({ a: 1 })).toBe('{"a":1}');
+    expect(serializeValue([1, 2])).toBe('[1,2]');
+  });
+
+  test('should quote every value of an INSERT as text', () => {
+    expect(getInsertQuery('Sales.Orders', ['at', 'ok', 'big', 'note', 'text', 'empty', 'blank'], [row])).toBe(
+      'INSERT INTO sales.orders ("at", "ok", "big", "note", "text", "empty", "blank") VALUES ' +
+      "('2024-01-15T10:30:00.000Z', 'true', '9007199254740993', 'He said \"hi\"\nand left', E'first\n\\\\.\nlast', NULL, '')"
+    );
+  });
+
+  test('should quote every non-null COPY field so empty strings, quotes and "\\." lines survive', () => {
+    expect(formatCopyLine(row)).toBe(
+      '"2024-01-15T10:30:00.000Z","true","9007199254740993","He said ""hi""\nand left","first\n\\.\nlast",,""\n'
+    );
+  });
+});
+
+describe('truncate-insert', () => {
+  function answerTruncateInsert(referenced) {
+    database.answers = [
+      [/information_schema\.tables/, { rows: [{ exists: true }] }],
+      [/format_type/, columnTypes(['id', 'name'])],
+      [/confrelid/, { rows: [{ exists: referenced }] }],
+      [/^INSERT INTO sales\.orders /, { rowCount: 5 }]
+    ];
+  }
+
+  test('should truncate a table nothing references', async () => {
+    answerTruncateInsert(false);
+    const counts = await swapTables('sales.orders_tmp', 'sales.orders', true, { swapStrategy: 'truncate-insert' });
+    expect(counts.inserted).toBe(5);
+    expect(executed(/^TRUNCATE TABLE sales\.orders$/)).toHaveLength(1);
+  });
+
+  test('should delete the rows of a table other tables reference', async () => {
+    answerTruncateInsert(true);
+    await swapTables('sales.orders_tmp', 'sales.orders', true, { swapStrategy: 'truncate-insert' });
+    expect(executed(/^TRUNCATE/)).toHaveLength(0);
+    expect(executed(/^DELETE FROM sales\.orders$/)).toHaveLength(1);
+  });
+
+  test('should only cascade when asked to', async () => {
+    answerTruncateInsert(true);
+    await swapTables('sales.orders_tmp', 'sales.orders', true, { swapStrategy: 'truncate-insert', truncateCascade: true });
+    expect(executed(/^TRUNCATE TABLE sales\.orders CASCADE$/)).toHaveLength(1);
+    expect(executed(/confrelid/)).toHaveLength(0);
+  });
+});
+
+describe('scd2', () => {
+  const effectiveAt = '2024-07-01T00:00:00.000Z';
+  const options = { mode: 'scd2', keyColumns: ['id'], effectiveAt, hashExcludedColumns: ['source_file'] };
+
+  // sales.employees exists with its history columns; two current versions
+  // change and three rows are inserted, so one key is new
+  function answerScd2({ exists = true, targetColumns = ['id', 'name', 'source_file', 'valid_from', 'valid_to', 'is_current', 'row_hash'] } = {}) {
+    database.answers = [
+      [/information_schema\.tables/, { rows: [{ exists }] }],
+      [/format_type/, (sql, [table]) => columnTypes(table === 'sales.employees' ? targetColumns : ['id', 'name', 'source_file'])],
+      [/^UPDATE sales\.employees AS target SET valid_to = \$1, is_current = false FROM/, { rowCount: 2 }],
+      [/^UPDATE sales\.employees AS target SET valid_to = \$1, is_current = false WHERE/, { rowCount: 1 }],
+      [/^INSERT INTO sales\.employees/, { rowCount: 3 }]
+    ];
+  }
+
+  test('should close the current versions whose row hash differs from the file', async () => {
+    answerScd2();
+    await swapTables('sales.employees_tmp', 'sales.employees', false, options);
+
+    const [close] = executed(/^UPDATE/);
+    // The hash leaves out the key and the lineage columns
+    expect(close.sql).toBe(
+      'UPDATE sales.employees AS target SET valid_to = $1, is_current = false FROM sales.employees_tmp AS source ' +
+      'WHERE target.is_current AND target."id" = source."id" AND target.row_hash <> md5(ROW(source."name")::text)'
+    );
+    expect(close.params).toEqual([effectiveAt]);
+  });
+
+  test('should insert new keys and a new current version of each changed key', async () => {
+    answerScd2();
+    const counts = await swapTables('sales.employees_tmp', 'sales.employees', false, options);
+
+    const [insert] = executed(/^INSERT INTO sales\.employees/);
+    expect(insert.sql).toBe(
+      'INSERT INTO sales.employees ("id", "name", "source_file", valid_from, valid_to, is_current, row_hash) ' +
+      'SELECT source."id", source."name", source."source_file", $1, NULL, true, md5(ROW(source."name")::text) ' +
+      'FROM sales.employees_tmp AS source WHERE NOT EXISTS ( SELECT 1 FROM sales.employees AS target WHERE target.is_current AND target."id" = source."id" )'
+    );
+    expect(insert.params).toEqual([effectiveAt]);
+    // Closing runs first, so the changed keys have no current version left
+    expect(database.queries.findIndex(({ sql }) => sql.startsWith('UPDATE'))).toBeLessThan(database.queries.indexOf(insert));
+    expect(counts).toMatchObject({ inserted: 1, updated: 2, deleted: 0 });
+  });
+
+  test('should only close keys missing from the file when asked to', async () => {
+    answerScd2();
+    await swapTables('sales.employees_tmp', 'sales.employees', false, options);
+    expect(executed(/^UPDATE .* NOT EXISTS/)).toHaveLength(0);
+
+    answerScd2();
+    database.queries = [];
+    const counts = await swapTables('sales.employees_tmp', 'sales.employees', false, { ...options, closeMissing: true });
+    const [, closeMissing] = executed(/^UPDATE/);
+    expect(closeMissing.sql).toBe(
+      'UPDATE sales.employees AS target SET valid_to = $1, is_current = false WHERE target.is_current AND NOT EXISTS ' +
+      '( SELECT 1 FROM sales.employees_tmp AS source WHERE target."id" = source."id" )'
+    );
+    expect(counts.deleted).toBe(1);
+  });
+
+  test('should leave keys missing from the file open when rows were rejected', async () => {
+    answerScd2();
+    const counts = await swapTables('sales.employees_tmp', 'sales.employees', false, { ...options, closeMissing: true, keepMissing: true });
+    expect(executed(/^UPDATE .* NOT EXISTS/)).toHaveLength(0);
+    expect(counts).toMatchObject({ updated: 2, deleted: 0, keptMissing: true });
+  });
+
+  test('should create the table with history columns and one current version per key', async () => {
+    answerScd2({ exists: false });
+    database.answers.unshift([/contype IN/, { rows: [{ conname: 'employees_tmp_pkey' }] }]);
+    await swapTables('sales.employees_tmp', 'sales.employees', false, options);
+
+    expect(executed(/^ALTER TABLE sales\.employees /).map(({ sql }) => sql)).toEqual([
+      'ALTER TABLE sales.employees DROP CONSTRAINT employees_tmp_pkey',
+      'ALTER TABLE sales.employees ADD COLUMN valid_from timestamptz NOT NULL',
+      'ALTER TABLE sales.employees ADD COLUMN valid_to timestamptz',
+      'ALTER TABLE sales.employees ADD COLUMN is_current boolean NOT NULL DEFAULT true',
+      'ALTER TABLE sales.employees ADD COLUMN row_hash text NOT NULL'
+    ]);
+    expect(executed(/^CREATE UNIQUE INDEX uq_employees_current_id ON sales\.employees \("id"\) WHERE is_current$/)).toHaveLength(1);
+  });
+
+  test('should refuse a target without the history columns', async () => {
+    answerScd2({ targetColumns: ['id', 'name', 'source_file'] });
+    await expect(swapTables('sales.employees_tmp', 'sales.employees', false, options))
+      .rejects.toThrow('sales.employees has no valid_from, valid_to, is_current, row_hash columns, --mode scd2 needs a table it created itself');
+    expect(executed(/^UPDATE|^INSERT/)).toHaveLength(0);
+  });
+});
+
+describe('table versions', () => {
+  const backup = 'orders__bak_20240601093000';
+  const loaded = { importId: 'a', files: ['may.xlsx'] };
+  const current = { importId: 'b', files: ['june.xlsx'] };
+  const comment = metadata => `'${JSON.stringify({ xlsx_to_psql: metadata })}'`;
+
+  // sales.orders holds the rows of import b and its backup those of import a;
+  // new backup names are free
+  function answerVersions({ targetColumns = ['id', 'name'], backupColumns = targetColumns, dependents = [] } = {}) {
+    database.answers = [
+      [/table_name ~/, { rows: [{ table_name: backup }] }],
+      [/information_schema\.tables/, (sql, [, table]) => ({ rows: [{ exists: table === 'orders' || table === backup }] })],
+      [/obj_description/, (sql, [table]) => ({
+        rows: [{ comment: JSON.stringify({ xlsx_to_psql: table === `sales.${backup}` ? loaded : current }) }]
+      })],
+      [/format_type/, (sql, [table]) => columnTypes(table === `sales.${backup}` ? backupColumns : targetColumns)],
+      [/pg_rewrite/, { rows: dependents.map(name => ({ name })) }],
+      [/confrelid/, { rows: [{ exists: false }] }]
+    ];
+  }
+
+  function comments() {
+    return executed(/^COMMENT ON TABLE/).map(({ sql }) => sql);
+  }
+
+  test('should write the import details to the table on every swap', async () => {
+    answerVersions();
+    const metadata = { importId: 'c', files: ['july.xlsx'] };
+    await swapTables('sales.orders_tmp', 'sales.orders', true, { swapStrategy: 'truncate-insert', metadata });
+    expect(comments()).toEqual([`COMMENT ON TABLE sales.orders IS ${comment(metadata)}`]);
+  });
+
+  test('should keep the import details of the replaced rows on the backup', async () => {
+    answerVersions();
+    const metadata = { importId: 'c', files: ['july.xlsx'] };
+    const counts = await swapTables('sales.orders_tmp', 'sales.orders', true, { swapStrategy: 'truncate-insert', keepVersions: 3, metadata });
+
+    expect(counts.backupTable).toMatch(/^sales\.orders__bak_\d{14}$/);
+    expect(comments()).toEqual([
+      `COMMENT ON TABLE ${counts.backupTable} IS ${comment(current)}`,
+      `COMMENT ON TABLE sales.orders IS ${comment(metadata)}`
+    ]);
+  });
+
+  test('should not rename a table views depend on into a backup', async () => {
+    answerVersions({ dependents: ['sales.orders_by_region'] });
+    await expect(swapTables('sales.orders_tmp', 'sales.orders', true, { keepVersions: 3 }))
+      .rejects.toThrow('Cannot keep sales.orders as a backup by renaming it, sales.orders_by_region would stay on the backup');
+    expect(executed(/RENAME/)).toHaveLength(0);
+  });
+
+  test('should list the import details of each version from its comment', async () => {
+    answerVersions();
+    database.answers.unshift([/count\(\*\)/, { rows: [{ rows: '4' }] }]);
+    const versions = await listTableVersions('sales.orders');
+    expect(versions.map(({ version, metadata }) => [version, metadata?.importId])).toEqual([['current', 'b'], ['20240601093000', 'a']]);
+  });
+
+  test('should copy the rows back when the backup has the same columns', async () => {
+    answerVersions({ dependents: ['sales.orders_by_region'] });
+    const { restored, replacedBy, inPlace } = await rollbackTable('sales.orders');
+
+    expect(restored.version).toBe('20240601093000');
+    expect(inPlace).toBe(true);
+    expect(executed(/RENAME/)).toHaveLength(0);
+    expect(executed(/^TRUNCATE TABLE sales\.orders$/)).toHaveLength(1);
+    expect(executed(new RegExp(`^INSERT INTO sales\\.orders \\("id", "name"\\) OVERRIDING SYSTEM VALUE SELECT "id", "name" FROM sales\\.${backup}$`))).toHaveLength(1);
+    expect(executed(new RegExp(`^DROP TABLE sales\\.${backup}$`))).toHaveLength(1);
+    expect(comments()).toEqual([
+      `COMMENT ON TABLE ${replacedBy} IS ${comment(current)}`,
+      `COMMENT ON TABLE sales.orders IS ${comment({ ...loaded, restoredFrom: '20240601093000' })}`
+    ]);
+  });
+
+  test('should rename a backup with other columns into place', async () => {
+    answerVersions({ backupColumns: ['id'] });
+    const { inPlace } = await rollbackTable('sales.orders', '20240601093000');
+
+    expect(inPlace).toBe(false);
+    expect(executed(/^ALTER TABLE sales\.orders RENAME/)).toHaveLength(1);
+    expect(executed(new RegExp(`^ALTER TABLE sales\\.${backup} RENAME TO orders$`))).toHaveLength(1);
+    expect(comments()).toEqual([`COMMENT ON TABLE sales.orders IS ${comment({ ...loaded, restoredFrom: '20240601093000' })}`]);
+  });
+
+  test('should refuse to rename a backup into place while views depend on the table', async () => {
+    answerVersions({ backupColumns: ['id'], dependents: ['sales.orders_by_region'] });
+    await expect(rollbackTable('sales.orders')).rejects.toThrow(
+      'Cannot roll sales.orders back to 20240601093000: its columns differ from the table\'s, and renaming it into place would leave sales.orders_by_region on the replaced table'
+    );
+    expect(executed(/RENAME/)).toHaveLength(0);
+    expect(executed(/^ROLLBACK$/)).toHaveLength(1);
+  });
+});
+
+describe('table locks and staging cleanup', () => {
+  test('should take the same lock for every spelling of a table', async () => {
+    database.answers = [[/pg_try_advisory_lock/, { rows: [{ locked: true }] }]];
+    const lock = await acquireTableLock('Sales.Orders', { wait: false });
+    await releaseTableLock(lock);
+    expect(database.queries.filter(({ sql }) => /advisory/.test(sql)).map(({ params }) => params[1])).toEqual(['sales.orders', 'sales.orders']);
+  });
+
+  test('should only drop the staging tables of its own target', async () => {
+    const tables = [
+      'orders_tmp', 'orders_tmp_1a2b3c4d', 'orders_tmp_1a2b3c4d_2', 'orders_tmp_tmp_1a2b3c4d', 'orders_2024_tmp_1a2b3c4d', 'orders_tmp_notes'
+    ];
+    database.answers = [[/information_schema\.tables/, (sql, [, pattern]) => ({
+      rows: tables.filter(name => new RegExp(pattern).test(name)).map(name => ({ table_name: name }))
+    })]];
+
+    expect(await dropOrphanedTempTables('Sales.Orders')).toEqual(['sales.orders_tmp', 'sales.orders_tmp_1a2b3c4d', 'sales.orders_tmp_1a2b3c4d_2']);
+  });
+});
+
+describe('clearImportState', () => {
+  test('should forget the last import of the table', async () => {
+    database.answers = [[/to_regclass/, { rows: [{ exists: true }] }]];
+    await clearImportState('etl.import_state', 'sales.orders');
+    expect(executed(/^DELETE FROM etl\.import_state WHERE target_table = \$1$/).map(({ params }) => params)).toEqual([['sales.orders']]);
+  });
+
+  test('should do nothing without a state table', async () => {
+    database.answers = [[/to_regclass/, { rows: [{ exists: false }] }]];
+    await clearImportState('public.xlsx_to_psql_state', 'sales.orders');
+    expect(executed(/^DELETE/)).toHaveLength(0);
+  });
+});
+
+describe('insertAuditRecord', () => {
+  test('should insert every audit column, with null for the ones the record lacks', async () => {
+    await insertAuditRecord('etl.import_log', { status: 'failed', error_message: 'boom', file_name: 'orders.xlsx', options: { mode: 'append' } });
+
+    const [{ sql, params }] = database.queries;
+    expect(sql).toBe(
+      'INSERT INTO etl.import_log ("started_at", "finished_at", "duration_seconds", "status", "error_message", ' +
+      '"file_name", "file_sha256", "sheet_name", "target_table", "mode", "total_rows", "valid_rows", "empty_rows", ' +
+      '"skipped_rows", "inserted_rows", "updated_rows", "deleted_rows", "options", "tool_version", "import_id") ' +
+      'VALUES ($1, $2, $3, $4, $5, $6, $7, $8, $9, $10, $11, $12, $13, $14, $15, $16, $17, $18, $19, $20)'
+    );
+    expect(params).toEqual([
+      null, null, null, 'failed', 'boom', 'orders.xlsx', null, null, null, null,
+      null, null, null, null, null, null, null, { mode: 'append' }, null, null
+    ]);
+  });
+});
@@ -0,0 +1,60 @@
+import { describe, test, expect } from 'vitest';
+import { getExtraColumnConfigs, createExtraColumnsResolver } from '../lib/extraColumns.mjs';
+
+const headers = ['First', 'Last', 'Email', 'Country'];
+const row = ['Ada', 'Lovelace', 'ada@example.com', 'UK'];
+
+function resolve(extraColumns, values = row, lineage = {}) {
+  const configs = getExtraColumnConfigs({ $extraColumns: extraColumns });
+  return createExtraColumnsResolver(configs, headers, lineage, 'UTC')(values, 7);
+}
+
+describe('getExtraColumnConfigs', () => {
+  test('should type lineage columns and default the rest to string', () => {
+    const configs = getExtraColumnConfigs({
+      $extraColumns: { source_row: '$row_number', run: '$import_id', region: 'EMEA' }
+    });
+    expect(configs.map(c => [c.sqlColumn, c.fieldType, c.runSpecific])).toEqual([
+      ['source_row', 'integer', false],
+      ['run', 'uuid', true],
+      ['region', 'string', false]
+    ]);
+  });
+
+  test('should reject unknown lineage values and ambiguous definitions', () => {
+    expect(() => getExtraColumnConfigs({ $extraColumns: { x: '$row' } })).toThrow('Unknown lineage value');
+    expect(() => getExtraColumnConfigs({ $extraColumns: { x: { value: 1, template: '{First}' } } })).toThrow('exactly one');
+  });
+});
+
+describe('createExtraColumnsResolver', () => {
+  test('should fill lineage values', () => {
+    const { values } = resolve(
+      { file: '$source_file', sheet: '$sheet_name', line: '$row_number', run: '$import_id' },
+      row,
+      { sourceFile: 'people.xlsx', sheetName: 'Staff', importId: 'abc' }
+    );
+    expect(values).toEqual(['people.xlsx', 'Staff', 7, 'abc']);
+  });
+
+  test('should evaluate templates, splits, regexes and lookups', () => {
+    const { values, errors } = resolve({
+      full_name: { template: '{First} {Last}' },
+      initial: { split: { column: 'First', separator: '', index: 0 } },
+      domain: { regex: { column: 'Email', pattern: '@(.+)$' } },
+      region: { lookup: { column: 'Country', map: { UK: 'EMEA', US: 'AMER' }, default: 'OTHER' } }
+    });
+    expect(errors).toEqual([]);
+    expect(values).toEqual(['Ada Lovelace', 'A', 'example.com', 'EMEA']);
+  });
+
+  test('should report values that do not convert to the column type', () => {
+    const { values, errors } = resolve({ code: { regex: { column: 'Email', pattern: '^[a-z]+' }, fieldType: 'integer' } });
+    expect(values).toEqual([null]);
+    expect(errors[0]).toMatchObject({ column: 'code', value: 'ada' });
+  });
+
+  test('should reject references to columns that are not in the sheet', () => {
+    expect(() => resolve({ x: { template: '{Phone}' } })).toThrow("unknown column 'Phone'");
+  });
+});
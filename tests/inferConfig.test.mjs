@@ -0,0 +1,48 @@
+import { describe, test, expect } from 'vitest';
+import path from 'path';
+import { fileURLToPath } from 'url';
+import { inferColumnConfig, inferTableConfig } from '../lib/inferConfig.mjs';
+
+const __filename = fileURLToPath(import.meta.url);
+const __dirname = path.dirname(__filename);
+
+const cells = (...values) => values.map(value => ({ value, hyperlink: false }));
+
+describe('inferColumnConfig', () => {
+  test('should infer numbers, booleans and text', () => {
+    expect(inferColumnConfig(cells(1, '2.5', '-3')).config.fieldType).toBe('number');
+    expect(inferColumnConfig(cells('Yes', 'no', true)).config.fieldType).toBe('boolean');
+    // Leading zeros mark codes that must stay text
+    expect(inferColumnConfig(cells('00123', '00456')).config.fieldType).toBe('string');
+  });
+
+  test('should infer dates and timestamps with the format that parses every value', () => {
+    expect(inferColumnConfig(cells('15/01/2024', '31/12/2024')).config).toMatchObject({
+      fieldType: 'date',
+      formats: ['DD/MM/YYYY']
+    });
+    expect(inferColumnConfig(cells(new Date(Date.UTC(2024, 0, 15, 9, 30)))).config).toMatchObject({ fieldType: 'timestamp' });
+  });
+
+  test('should flag nullability, hyperlinks and key candidates', () => {
+    const { config, isKeyCandidate } = inferColumnConfig([
+      { value: 'a', hyperlink: true },
+      { value: 'b', hyperlink: false }
+    ]);
+    expect(config).toMatchObject({ notNull: true, isHyperlink: true });
+    expect(isKeyCandidate).toBe(true);
+    expect(inferColumnConfig(cells('a', '', 'a')).isKeyCandidate).toBe(false);
+  });
+});
+
+describe('inferTableConfig', () => {
+  test('should write a config keyed by header for a CSV file', async () => {
+    const tableConfig = await inferTableConfig(path.join(__dirname, 'csv-parser-tester.csv'), {
+      csvOptions: { delimiter: ';' }
+    });
+
+    expect(tableConfig.Joined).toMatchObject({ sqlColumn: 'joined', fieldType: 'timestamp', notNull: false });
+    expect(tableConfig.Amount.fieldType).toBe('string');
+    expect(tableConfig.$primaryKeyCandidates).toContain('Name');
+  });
+});
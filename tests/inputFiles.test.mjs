@@ -0,0 +1,41 @@
+import { describe, test, expect, beforeEach, afterEach } from 'vitest';
+import fs from 'fs';
+import os from 'os';
+import path from 'path';
+import { resolveInputFiles, moveInputFile } from '../lib/inputFiles.mjs';
+
+describe('input files', () => {
+  let dir;
+
+  beforeEach(() => {
+    dir = fs.mkdtempSync(path.join(os.tmpdir(), 'xlsx_to_psql-'));
+    ['branch1.csv', 'branch2.csv', 'summary.xlsx', 'notes.txt', '~$summary.xlsx'].forEach(name => {
+      fs.writeFileSync(path.join(dir, name), 'id\n1\n');
+    });
+  });
+
+  afterEach(() => {
+    fs.rmSync(dir, { recursive: true, force: true });
+  });
+
+  test('should expand globs and directories, skipping lock files and duplicates', () => {
+    const files = resolveInputFiles([path.join(dir, 'branch*.csv'), path.join(dir, 'branch1.csv')], dir);
+    expect(files.map(file => path.basename(file))).toEqual(['branch1.csv', 'branch2.csv', 'summary.xlsx']);
+  });
+
+  test('should reject missing files, unsupported types and empty globs', () => {
+    expect(() => resolveInputFiles([path.join(dir, 'missing.csv')])).toThrow('Input file not found');
+    expect(() => resolveInputFiles([path.join(dir, 'notes.txt')])).toThrow('Unsupported file type');
+    expect(() => resolveInputFiles([path.join(dir, '*.xls')])).toThrow('No .csv, .xlsx or .xls files match');
+  });
+
+  test('should move a file into a folder next to it without overwriting earlier ones', () => {
+    const first = moveInputFile(path.join(dir, 'branch1.csv'), 'done');
+    fs.writeFileSync(path.join(dir, 'branch1.csv'), 'id\n2\n');
+    const second = moveInputFile(path.join(dir, 'branch1.csv'), 'done');
+    expect(first).toBe(path.join(dir, 'done', 'branch1.csv'));
+    expect(path.dirname(second)).toBe(path.join(dir, 'done'));
+    expect(second).not.toBe(first);
+    expect(fs.existsSync(path.join(dir, 'branch1.csv'))).toBe(false);
+  });
+});
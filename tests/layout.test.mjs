@@ -0,0 +1,43 @@
+import { describe, test, expect } from 'vitest';
+import { resolveLayout, joinHeaderRows, isFooterRow } from '../lib/layout.mjs';
+
+describe('resolveLayout', () => {
+  test('should default to a single header row followed by data', () => {
+    expect(resolveLayout()).toEqual({
+      headerRow: 1,
+      headerRows: 1,
+      dataStartRow: 2,
+      dataEndRow: null,
+      stopAtBlankRow: false,
+      footerPattern: null
+    });
+  });
+
+  test('should let the sheet config override command line options', () => {
+    const layout = resolveLayout({ headerRow: 3, headerRows: 2 }, { headerRow: 5 });
+    expect(layout.headerRow).toBe(5);
+    expect(layout.dataStartRow).toBe(7);
+  });
+
+  test('should reject data starting inside the headers', () => {
+    expect(() => resolveLayout({ headerRow: 2, headerRows: 2, dataStartRow: 3 })).toThrow('Invalid sheet layout');
+  });
+});
+
+describe('joinHeaderRows', () => {
+  test('should join grouped headers and fill merged group cells from the left', () => {
+    const headers = joinHeaderRows([
+      ['Region', 'Q1', '', 'Q2', ''],
+      ['', 'Revenue', 'Cost', 'Revenue', 'Cost']
+    ], 5);
+    expect(headers).toEqual(['Region', 'Q1 > Revenue', 'Q1 > Cost', 'Q2 > Revenue', 'Q2 > Cost']);
+  });
+});
+
+describe('isFooterRow', () => {
+  test('should match the first non-empty cell', () => {
+    const pattern = resolveLayout({ footerPattern: '^(grand )?total' }).footerPattern;
+    expect(isFooterRow(['', 'Grand Total', 1200], pattern)).toBe(true);
+    expect(isFooterRow(['North', 'Total', 1200], pattern)).toBe(false);
+  });
+});
@@ -0,0 +1,87 @@
+import { describe, test, expect } from 'vitest';
+import XLSX from 'xlsx';
+import { createReshaper } from '../lib/reshape.mjs';
+import { getTableConfigForHeaders } from '../lib/getTableConfig.mjs';
+import { parseAndTransformXLSX } from '../lib/xlsx.mjs';
+
+function reshaperFor(headers, config) {
+  return createReshaper(config, getTableConfigForHeaders(headers, config), 'UTC');
+}
+
+describe('createReshaper', () => {
+  test('should return null without a "$reshape" section', () => {
+    expect(reshaperFor(['Store', 'Jan'], {})).toBeNull();
+  });
+
+  test('should melt the listed columns into key and value rows', () => {
+    const config = {
+      Store: { primary: true },
+      $reshape: { columns: ['Jan', 'Feb', 'Mar'], keyColumn: 'month', valueColumn: 'sales', valueType: 'number' }
+    };
+    const tableConfig = getTableConfigForHeaders(['Store', 'Jan', 'Feb', 'Mar'], config);
+    const reshaper = createReshaper(config, tableConfig, 'UTC');
+
+    expect(tableConfig[1].fieldType).toBe('number');
+    expect(reshaper.tableConfig.map(c => [c.sqlColumn, c.fieldType, c.primary])).toEqual([
+      ['Store', 'string', false],
+      ['month', 'string', false],
+      ['sales', 'number', false]
+    ]);
+    // Blank cells give no row, extra column values are kept on every row
+    expect(reshaper.reshapeRow(['S1', 10, null, 30, 'file.csv'])).toEqual([
+      ['S1', 'Jan', 10, 'file.csv'],
+      ['S1', 'Mar', 30, 'file.csv']
+    ]);
+  });
+
+  test('should keep blank cells with skipEmpty false', () => {
+    const reshaper = reshaperFor(['Store', 'Jan', 'Feb'], { $reshape: { pattern: '^(Jan|Feb)$', skipEmpty: false } });
+    expect(reshaper.reshapeRow(['S1', null, 5])).toEqual([
+      ['S1', 'Jan', null],
+      ['S1', 'Feb', 5]
+    ]);
+  });
+
+  test('should take the key from the pattern and convert it', () => {
+    const reshaper = reshaperFor(['Store', 'Week 1', 'Week 2'], {
+      $reshape: { pattern: '^Week (?<key>\\d+)$', keyColumn: 'week', keyType: 'integer', valueColumn: 'units' }
+    });
+    expect(reshaper.reshapeRow(['S1', '4', '6'])).toEqual([
+      ['S1', 1, '4'],
+      ['S1', 2, '6']
+    ]);
+  });
+
+  test('should report config mistakes', () => {
+    expect(() => reshaperFor(['Store', 'Jan'], { $reshape: { columns: ['Jan'], pattern: 'Jan' } })).toThrow('either columns or pattern');
+    expect(() => reshaperFor(['Store', 'Jan'], { $reshape: { columns: ['Feb'] } })).toThrow('not found in the sheet: Feb');
+    expect(() => reshaperFor(['Store', 'Jan'], { $reshape: { pattern: '^Q\\d$' } })).toThrow('matches none of the columns');
+    expect(() => reshaperFor(['key', 'Jan'], { $reshape: { columns: ['Jan'] } })).toThrow("'key' clashes");
+  });
+
+  test('should melt column groups into one row per number', async () => {
+    // Duplicate "Evidence" headers are numbered like in duplicae-columns-test.xlsx
+    const worksheet = XLSX.utils.aoa_to_sheet([
+      ['Submission Number', 'Product1', 'Evidence', 'Product2', 'Evidence', 'Product3', 'Evidence'],
+      ['S-1', 'Soap', 'photo1.jpg', 'Oil', null, null, null],
+      ['S-2', null, null, null, null, 'Rice', 'photo3.jpg']
+    ]);
+    const config = {
+      $reshape: {
+        pattern: '^(?<value>Product|Evidence)_?(?<key>\\d+)$',
+        keyColumn: 'item',
+        keyType: 'integer',
+        valueColumns: { Product: 'product', Evidence: 'evidence' }
+      }
+    };
+
+    const result = await parseAndTransformXLSX(worksheet, config, 'UTC');
+    expect(result.columns).toEqual(['Submission Number', 'item', 'product', 'evidence']);
+    expect(result.transformedData).toEqual([
+      ['S-1', 1, 'Soap', 'photo1.jpg'],
+      ['S-1', 2, 'Oil', null],
+      ['S-2', 3, 'Rice', 'photo3.jpg']
+    ]);
+    expect(result.summary.processedRows).toBe(2);
+  });
+});
@@ -0,0 +1,46 @@
+import { describe, test, expect } from 'vitest';
+import path from 'path';
+import { fileURLToPath } from 'url';
+import { batchRows } from '../lib/rows.mjs';
+import { readCSV } from '../lib/csv.mjs';
+
+const __filename = fileURLToPath(import.meta.url);
+const __dirname = path.dirname(__filename);
+
+describe('batchRows', () => {
+  test('should group rows into batches of the given size', async () => {
+    async function* rows() {
+      for (let i = 1; i <= 5; i++) {
+        yield [i];
+      }
+    }
+
+    const batches = [];
+    for await (const batch of batchRows(rows(), 2)) {
+      batches.push(batch);
+    }
+    expect(batches).toEqual([[[1], [2]], [[3], [4]], [[5]]]);
+  });
+});
+
+describe('readCSV', () => {
+  test('should know the columns before streaming the rows', async () => {
+    const sheetData = await readCSV(
+      path.join(__dirname, 'csv-parser-tester.csv'),
+      { Amount: { fieldType: 'number' } },
+      'Asia/Kolkata',
+      { delimiter: ';' }
+    );
+    expect(sheetData.columns).toEqual(['Name', 'Amount', 'Joined']);
+    expect(sheetData.summary.totalRows).toBe(0);
+
+    const rows = [];
+    for await (const row of sheetData.rows()) {
+      rows.push(row);
+    }
+    expect(rows).toHaveLength(1);
+    expect(sheetData.summary.totalRows).toBe(3);
+    expect(sheetData.rejects).toHaveLength(1);
+    expect(sheetData.progress.value).toBe(sheetData.progress.total);
+  });
+});
@@ -0,0 +1,37 @@
+import { describe, test, expect } from 'vitest';
+import { selectSheets, getSheetMapping } from '../lib/sheets.mjs';
+
+describe('selectSheets', () => {
+  const sheetNames = ['Branch North', 'Branch South', 'Notes', 'Summary'];
+
+  test('should import every sheet when nothing is selected', () => {
+    expect(selectSheets(sheetNames)).toEqual(sheetNames);
+  });
+
+  test('should select sheets by name, glob and index in workbook order', () => {
+    expect(selectSheets(sheetNames, { names: ['Summary', 'Branch *'] })).toEqual(['Branch North', 'Branch South', 'Summary']);
+    expect(selectSheets(sheetNames, { names: ['Notes'], indexes: [1] })).toEqual(['Branch North', 'Notes']);
+  });
+
+  test('should fail on selections that match nothing', () => {
+    expect(() => selectSheets(sheetNames, { names: ['Sheet?'] })).toThrow("No sheet matches 'Sheet?'");
+    expect(() => selectSheets(sheetNames, { indexes: [5] })).toThrow('Sheet index 5 is out of range');
+  });
+});
+
+describe('getSheetMapping', () => {
+  test('should route sheets to tables with their own column config', () => {
+    const tableConfig = {
+      'Amount': { fieldType: 'number' },
+      '$sheets': {
+        'Branch *': { table: 'sales.branch', columns: { 'Amount': { fieldType: 'integer' } } }
+      }
+    };
+
+    const mapping = getSheetMapping(tableConfig, 'Branch North');
+    expect(mapping.table).toBe('sales.branch');
+    expect(mapping.columnOverrides.Amount).toEqual({ fieldType: 'integer' });
+    expect(getSheetMapping(tableConfig, 'Notes').table).toBeUndefined();
+    expect(getSheetMapping(tableConfig, 'Notes').columnOverrides.Amount).toEqual({ fieldType: 'number' });
+  });
+});
@@ -0,0 +1,17 @@
+import { describe, test, expect } from 'vitest';
+import { createColumnStats, addRowToStats, formatColumnStats } from '../lib/stats.mjs';
+
+describe('column statistics', () => {
+  test('should count nulls and distinct values and track min/max', () => {
+    const stats = createColumnStats(['amount', 'name']);
+    addRowToStats(stats, [10, 'b']);
+    addRowToStats(stats, [2, null]);
+    addRowToStats(stats, [10, 'a']);
+
+    expect(stats.rows).toBe(3);
+    expect(formatColumnStats(stats)).toEqual([
+      'amount: 0 nulls (0.0%), 2 distinct, min 2, max 10, e.g. 10 | 2',
+      'name: 1 nulls (33.3%), 2 distinct, min a, max b, e.g. b | a'
+    ]);
+  });
+});
@@ -0,0 +1,102 @@
+import { describe, test, expect } from 'vitest';
+import { transformValue } from '../lib/transform.mjs';
+import { getSqlType } from '../lib/fieldTypes.mjs';
+
+const transform = (value, fieldType) => transformValue(value, { header: 'col', fieldType }, 'Asia/Kolkata');
+
+describe('transformValue', () => {
+  test('should parse integers and bigints', () => {
+    expect(transform('42', 'integer')).toBe(42);
+    expect(transform(7, 'int')).toBe(7);
+    expect(transform('9007199254740993', 'bigint')).toBe('9007199254740993');
+    expect(() => transform('4.5', 'integer')).toThrow('Invalid integer');
+    expect(() => transform('3000000000', 'integer')).toThrow('Value out of range for integer');
+  });
+
+  test('should check numeric precision', () => {
+    expect(transform('123.45', 'numeric(5,2)')).toBe(123.45);
+    expect(() => transform('1234.5', 'numeric(5,2)')).toThrow('Number does not fit numeric(5,2)');
+  });
+
+  test('should parse booleans', () => {
+    expect(['yes', 'Y', 'true', '1', 1, true].map(v => transform(v, 'boolean'))).toEqual([true, true, true, true, true, true]);
+    expect(['no', 'N', 'false', '0', 0, false].map(v => transform(v, 'boolean'))).toEqual([false, false, false, false, false, false]);
+    expect(() => transform('maybe', 'boolean')).toThrow('Invalid boolean');
+  });
+
+  test('should parse dates and times without a timezone shift', () => {
+    expect(transform('2024-03-01', 'date')).toBe('2024-03-01');
+    expect(transform(45352, 'date')).toBe('2024-03-01');
+    expect(transform(0.75, 'time')).toBe('18:00:00');
+    expect(transform('6:30 PM', 'time')).toBe('18:30:00');
+    expect(() => transform('2024-13-01', 'date')).toThrow('Invalid date');
+  });
+
+  test('should normalize json and uuid values', () => {
+    expect(transform('{ "a": [1, 2] }', 'jsonb')).toBe('{"a":[1,2]}');
+    expect(() => transform('{a:1}', 'json')).toThrow('Invalid JSON');
+    expect(transform('6F9619FF-8B86-D011-B42D-00C04FC964FF', 'uuid')).toBe('6f9619ff-8b86-d011-b42d-00c04fc964ff');
+    expect(() => transform('not-a-uuid', 'uuid')).toThrow('Invalid uuid');
+  });
+});
+
+describe('transformValue date formats', () => {
+  test('should give the same instant for text, Excel serial and Date cells', () => {
+    const expected = '2024-01-15T04:00:00.000Z';
+    expect(transform('2024-01-15 09:30', 'timestamp')).toBe(expected);
+    expect(transform(45306.395833333336, 'timestamp')).toBe(expected);
+    expect(transform(new Date(2024, 0, 15, 9, 30), 'timestamp')).toBe(expected);
+  });
+
+  test('should try the column formats in order', () => {
+    const config = { fieldType: 'timestamp', formats: ['DD/MM/YYYY', 'M/D/YY h:mm A', 'ISO'] };
+    expect(transformValue('03/04/2024', config, 'Asia/Kolkata')).toBe('2024-04-02T18:30:00.000Z');
+    expect(transformValue('3/4/24 6:30 PM', config, 'Asia/Kolkata')).toBe('2024-03-04T13:00:00.000Z');
+    expect(transformValue('2024-03-04T10:00:00+02:00', config, 'Asia/Kolkata')).toBe('2024-03-04T08:00:00.000Z');
+    expect(() => transformValue('2024/03/04', config, 'Asia/Kolkata'))
+      .toThrow('Invalid timestamp, expected DD/MM/YYYY, M/D/YY h:mm A, ISO');
+  });
+
+  test('should let a column override the global timezone', () => {
+    const config = { fieldType: 'timestamp', timezone: 'America/New_York' };
+    expect(transformValue('2024-01-15 09:30', config, 'Asia/Kolkata')).toBe('2024-01-15T14:30:00.000Z');
+  });
+});
+
+describe('transformValue number formats', () => {
+  const parse = (value, numberFormat, fieldType = 'number') => transformValue(value, { fieldType, numberFormat }, 'UTC');
+
+  test('should parse locale group and decimal separators', () => {
+    expect(parse('1,23,456.50', { locale: 'en-IN' })).toBe(123456.5);
+    expect(parse('1.234,56', { locale: 'de-DE' })).toBe(1234.56);
+    expect(parse('1 234,56', { decimalSeparator: ',', groupSeparator: ' ' })).toBe(1234.56);
+  });
+
+  test('should strip currency, convert percentages and accounting negatives', () => {
+    expect(parse('₹ 1,200', { currency: true, groupSeparator: ',' })).toBe(1200);
+    expect(parse('USD 99.5', { currency: true })).toBe(99.5);
+    expect(parse('12.5%', { percent: true })).toBe(0.125);
+    expect(parse('(350)', { accountingNegative: true })).toBe(-350);
+    expect(parse('57%', { percent: true })).toBe(0.57);
+    expect(parse('(1.1%)', { percent: true, accountingNegative: true })).toBe(-0.011);
+    expect(parse('33,33 %', { percent: true, locale: 'de-DE' })).toBe(0.3333);
+    expect(parse('(1,000)', { accountingNegative: true, groupSeparator: ',' }, 'integer')).toBe(-1000);
+  });
+
+  test('should report values that still do not parse', () => {
+    expect(() => parse('12.5%', {})).toThrow('percentages need numberFormat.percent');
+    expect(() => parse('1,234', undefined)).toThrow('Invalid number');
+    expect(() => parse('₹', { currency: true })).toThrow('Invalid number');
+    expect(() => parse('50%', { percent: true }, 'integer')).toThrow('Invalid integer, percentages need a number or numeric column');
+    expect(() => parse('100%', { percent: true }, 'bigint')).toThrow('Invalid bigint');
+  });
+});
+
+describe('getSqlType', () => {
+  test('should map field types to PostgreSQL types', () => {
+    expect(['integer', 'bigint', 'numeric(12, 2)', 'number', 'boolean', 'date', 'time', 'timestamptz', 'json', 'jsonb', 'uuid', 'string']
+      .map(fieldType => getSqlType({ fieldType })))
+      .toEqual(['INTEGER', 'BIGINT', 'NUMERIC(12,2)', 'NUMERIC', 'BOOLEAN', 'DATE', 'TIME', 'TIMESTAMPTZ', 'JSON', 'JSONB', 'UUID', 'TEXT']);
+    expect(getSqlType({ fieldType: 'number', precision: 10, scale: 3 })).toBe('NUMERIC(10,3)');
+  });
+});
@@ -0,0 +1,59 @@
+import { describe, test, expect } from 'vitest';
+import { createRowValidator, summarizeRejects } from '../lib/validate.mjs';
+
+describe('createRowValidator', () => {
+  const columnConfigs = [
+    { header: 'Employee', validate: { regex: '^E\\d{6}$', unique: true } },
+    { header: 'Status', notNull: true, validate: { enum: ['OPEN', 'CLOSED'] } },
+    { header: 'Amount', validate: { min: 0, max: 1e7 } },
+    { header: 'Remarks', validate: { maxLength: 5 } }
+  ];
+
+  test('should accept rows that satisfy every rule', () => {
+    const validateRow = createRowValidator(columnConfigs);
+    expect(validateRow(['E000001', 'OPEN', 100, 'ok'])).toEqual([]);
+  });
+
+  test('should report each broken rule with the column and value', () => {
+    const validateRow = createRowValidator(columnConfigs);
+    expect(validateRow(['X1', 'PENDING', -1, 'too long'])).toEqual([
+      { column: 'Employee', value: 'X1', reason: 'Does not match ^E\\d{6}$' },
+      { column: 'Status', value: 'PENDING', reason: 'Not one of OPEN, CLOSED' },
+      { column: 'Amount', value: -1, reason: 'Below minimum 0' },
+      { column: 'Remarks', value: 'too long', reason: 'Longer than 5 characters' }
+    ]);
+    expect(validateRow(['E000001', null, 1, null])).toEqual([
+      { column: 'Status', value: null, reason: 'Value is required (notNull)' }
+    ]);
+  });
+
+  test('should reject values that are not numbers under min or max', () => {
+    const validateRow = createRowValidator(columnConfigs);
+    expect(validateRow(['E000001', 'OPEN', 'abc', null])).toEqual([
+      { column: 'Amount', value: 'abc', reason: 'Not a number' }
+    ]);
+  });
+
+  test('should only flag duplicates of rows that were accepted', () => {
+    const validateRow = createRowValidator(columnConfigs);
+    expect(validateRow(['E000001', 'PENDING', 1, null])).toHaveLength(1);
+    expect(validateRow(['E000001', 'OPEN', 1, null])).toEqual([]);
+    expect(validateRow(['E000001', 'CLOSED', 2, null])).toEqual([
+      { column: 'Employee', value: 'E000001', reason: 'Duplicate value (unique)' }
+    ]);
+  });
+});
+
+describe('summarizeRejects', () => {
+  test('should group rejects by column and reason', () => {
+    const rejects = [
+      { row: 2, column: 'Status', reason: 'Not one of OPEN, CLOSED' },
+      { row: 3, column: 'Amount', reason: 'Invalid number' },
+      { row: 7, column: 'Status', reason: 'Not one of OPEN, CLOSED' }
+    ];
+    expect(summarizeRejects(rejects)).toEqual([
+      { key: 'Status: Not one of OPEN, CLOSED', count: 2, rows: [2, 7] },
+      { key: 'Amount: Invalid number', count: 1, rows: [3] }
+    ]);
+  });
+});
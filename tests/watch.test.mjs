@@ -0,0 +1,57 @@
+import { describe, test, expect, beforeEach, afterEach } from 'vitest';
+import fs from 'fs';
+import os from 'os';
+import path from 'path';
+import { loadRoutes, findRoute, getImportArgs } from '../lib/watch.mjs';
+
+describe('routes', () => {
+  let dir;
+
+  const writeRoutes = (routing) => {
+    const routesFile = path.join(dir, 'routes.json');
+    fs.writeFileSync(routesFile, JSON.stringify(routing));
+    return routesFile;
+  };
+
+  beforeEach(() => {
+    dir = fs.mkdtempSync(path.join(os.tmpdir(), 'xlsx_to_psql-'));
+  });
+
+  afterEach(() => {
+    fs.rmSync(dir, { recursive: true, force: true });
+  });
+
+  test('should merge defaults and resolve table configs next to the routing file', () => {
+    const routes = loadRoutes(writeRoutes({
+      defaults: { timezone: 'Asia/Kolkata' },
+      routes: [
+        { pattern: 'branch_*.xlsx', table: 'sales.orders', tableConfig: 'orders.json', mode: 'upsert' },
+        { pattern: '*.csv', table: 'sales.misc', tableConfig: '/configs/misc.json', timezone: 'UTC' }
+      ]
+    }));
+
+    expect(findRoute(routes, 'branch_12.xlsx').options).toEqual({
+      timezone: 'Asia/Kolkata',
+      table: 'sales.orders',
+      tableConfig: path.join(dir, 'orders.json'),
+      mode: 'upsert'
+    });
+    expect(findRoute(routes, 'targets.csv').options.timezone).toBe('UTC');
+    expect(findRoute(routes, 'branch_12.xls')).toBeNull();
+  });
+
+  test('should reject routes without a table, config or timezone and routes that pick their own files', () => {
+    expect(() => loadRoutes(writeRoutes({ routes: [{ pattern: '*.csv', table: 'a.b' }] }))).toThrow("Route '*.csv' needs tableConfig, timezone");
+    expect(() => loadRoutes(writeRoutes({
+      routes: [{ pattern: '*.csv', table: 'a.b', tableConfig: 'c.json', timezone: 'UTC', inputDir: '/tmp' }]
+    }))).toThrow('cannot set inputDir');
+  });
+});
+
+describe('getImportArgs', () => {
+  test('should turn options into command line arguments', () => {
+    expect(getImportArgs({ loadMethod: 'copy', truncate: true, header: false, key: ['id', 'day'], maxErrors: 10 })).toEqual([
+      '--load-method', 'copy', '--truncate', '--no-header', '--key', 'id', '--key', 'day', '--max-errors', '10'
+    ]);
+  });
+});
@@ -1,16 +1,109 @@
-import { describe, test, expect } from 'vitest';
+import { describe, test, expect, beforeEach, afterEach } from 'vitest';
 import XLSX from 'xlsx';
 import path from 'path';
-import { fileURLToPath } from 'url';
+import { fileURLToPath, pathToFileURL } from 'url';
+import { execFileSync } from 'child_process';
+import fs from 'fs';
+import os from 'os';
 import { getTableConfigForAWorkSheet } from '../lib/getTableConfig.mjs';
+import { parseAndTransformXLSX, readWorkbookFile, loadWorksheet } from '../lib/xlsx.mjs';
+import { parseCSV } from '../lib/csv.mjs';
 
 const __filename = fileURLToPath(import.meta.url);
 const __dirname = path.dirname(__filename);
 
 describe('parseAndTransformXLSX', () => {
+  let dir;
+
+  beforeEach(() => {
+    dir = fs.mkdtempSync(path.join(os.tmpdir(), 'xlsx_to_psql-'));
+  });
+
+  afterEach(() => {
+    fs.rmSync(dir, { recursive: true, force: true });
+  });
+
   test('should parse and transform XLSX data', () => {
     // TODO: Implement test
   })
+
+  test('should read text cells with the same rules as CSV', async () => {
+    const rows = [['Code', 'Note'], ['A1', '-'], ['  B2 ', 'two   words'], ['-', '']];
+    const csvPath = path.join(dir, 'notes.csv');
+    fs.writeFileSync(csvPath, rows.map(row => row.join(',')).join('\n'));
+
+    const fromXLSX = await parseAndTransformXLSX(XLSX.utils.aoa_to_sheet(rows), {}, 'UTC');
+    const fromCSV = await parseCSV(csvPath, {}, 'UTC');
+    expect(fromXLSX.transformedData).toEqual([['A1', null], ['B2', 'two words']]);
+    expect(fromCSV.transformedData).toEqual(fromXLSX.transformedData);
+    expect(fromXLSX.summary.emptyRows).toBe(1);
+    expect(fromCSV.summary.emptyRows).toBe(1);
+  });
+
+  test('should keep zero and FALSE cells like CSV', async () => {
+    const worksheet = XLSX.utils.aoa_to_sheet([['Qty', 'Active'], [0, false], [3, true]]);
+    const config = { Qty: { fieldType: 'number' }, Active: { fieldType: 'boolean' } };
+
+    const result = await parseAndTransformXLSX(worksheet, config, 'UTC');
+    expect(result.transformedData).toEqual([[0, false], [3, true]]);
+    expect(result.summary.emptyRows).toBe(0);
+  });
+});
+
+describe('date cells', () => {
+  let dir;
+
+  beforeEach(() => {
+    dir = fs.mkdtempSync(path.join(os.tmpdir(), 'xlsx_to_psql-'));
+  });
+
+  afterEach(() => {
+    fs.rmSync(dir, { recursive: true, force: true });
+  });
+
+  // 45306 is 2024-01-15; Asia/Kolkata had a +05:21:10 offset in 1899, which
+  // shifts Date cells built in the process timezone by ten seconds
+  function writeDatesWorkbook() {
+    const worksheet = XLSX.utils.aoa_to_sheet([['Day', 'At', 'Time'], [45306, 45306.5, 0.75]]);
+    worksheet.A2.z = 'yyyy-mm-dd';
+    worksheet.B2.z = 'yyyy-mm-dd hh:mm';
+    worksheet.C2.z = 'hh:mm';
+    const workbook = XLSX.utils.book_new();
+    XLSX.utils.book_append_sheet(workbook, worksheet, 'Dates');
+    const filePath = path.join(dir, 'dates.xlsx');
+    XLSX.writeFile(workbook, filePath);
+    return filePath;
+  }
+
+  // The process timezone is fixed when a test worker starts, so the workbook is
+  // read by a child process started in the timezone under test
+  function readInTimezone(filePath, processTZ) {
+    const script = `
+      import { parseAndTransformXLSX, readWorkbookFile, loadWorksheet } from ${JSON.stringify(pathToFileURL(path.join(__dirname, '../lib/xlsx.mjs')).href)};
+      import { inferTableConfig } from ${JSON.stringify(pathToFileURL(path.join(__dirname, '../lib/inferConfig.mjs')).href)};
+      const config = { Day: { fieldType: 'date' }, At: { fieldType: 'timestamp' }, Time: { fieldType: 'time' } };
+      const { transformedData } = await parseAndTransformXLSX(loadWorksheet(readWorkbookFile(${JSON.stringify(filePath)}), 'Dates'), config, 'Asia/Kolkata');
+      const inferred = await inferTableConfig(${JSON.stringify(filePath)});
+      console.log(JSON.stringify({ transformedData, inferred: [inferred.Day.fieldType, inferred.At.fieldType] }));
+    `;
+    const output = execFileSync(process.execPath, ['--input-type=module', '-e', script], {
+      env: { ...process.env, TZ: processTZ },
+      encoding: 'utf-8'
+    });
+    return JSON.parse(output.trim().split('\n').pop());
+  }
+
+  test('should stop reading after sheetRows rows', () => {
+    const worksheet = loadWorksheet(readWorkbookFile(writeDatesWorkbook()), 'Dates', { sheetRows: 1 });
+    expect(worksheet['!ref']).toBe('A1:C1');
+  });
+
+  test.each(['Asia/Kolkata', 'America/New_York', 'UTC'])('should read the wall clock shown in the sheet with the process in %s', (processTZ) => {
+    expect(readInTimezone(writeDatesWorkbook(), processTZ)).toEqual({
+      transformedData: [['2024-01-15', '2024-01-15T06:30:00.000Z', '18:00:00']],
+      inferred: ['date', 'timestamp']
+    });
+  });
 });
 
 describe('getTableConfigForAWorkSheet', () => {